@@ -0,0 +1,49 @@
+// Content and interface languages. "regional" covers regional-language editions
+// that have no tag of their own; it can only be requested with ?lang=regional.
+
+const LANGUAGES = ['en', 'hi', 'regional'];
+
+// Language of items created without one, and the fallback for unsupported requests
+const DEFAULT_LANGUAGE = 'en';
+
+// MongoDB text search language per content language. MongoDB has no Hindi stemmer,
+// so those items are indexed with "none" (no stemming or stop words).
+const TEXT_SEARCH_LANGUAGES = {
+  en: 'english',
+  hi: 'none',
+  regional: 'none'
+};
+
+const isLanguage = (value) => LANGUAGES.includes(value);
+
+// Best supported language from an Accept-Language header ("hi-IN,hi;q=0.9,en;q=0.8"), or null
+const parseAcceptLanguage = (header) => {
+  if (!header) return null;
+
+  const ranges = String(header).split(',')
+    .map((part, index) => {
+      const [range, ...params] = part.trim().split(';');
+      const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return { tag: range.toLowerCase().split('-')[0], q: q ? parseFloat(q.slice(2)) : 1, index };
+    })
+    .filter(({ tag, q }) => tag && !Number.isNaN(q) && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  const match = ranges.find(({ tag }) => isLanguage(tag));
+  return match ? match.tag : null;
+};
+
+// Language a request asks for: ?lang= first, then Accept-Language; null when neither names a supported one
+const requestedLanguage = (req) => {
+  if (isLanguage(req.query.lang)) return req.query.lang;
+  return parseAcceptLanguage(req.get('Accept-Language'));
+};
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  TEXT_SEARCH_LANGUAGES,
+  isLanguage,
+  parseAcceptLanguage,
+  requestedLanguage,
+};
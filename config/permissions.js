@@ -0,0 +1,146 @@
+// Declarative role -> permission matrix for the CMS.
+// A permission suffixed with ":own" only applies to documents the user created;
+// routes opt in to that check by passing `isOwner` to requirePermission().
+
+const ROLES = ['user', 'reporter', 'editor', 'video_producer', 'moderator', 'admin', 'super_admin'];
+
+// Roles allowed to sign in to the admin portal
+const STAFF_ROLES = ROLES.filter(role => role !== 'user');
+
+// Roles that may only be granted (or managed) by a super_admin
+const PRIVILEGED_ROLES = ['admin', 'super_admin'];
+
+const PERMISSIONS = [
+  'news:read',
+  'news:create',
+  'news:update',
+  'news:review',
+  'news:publish',
+  'news:feature',
+  'news:breaking',
+  'news:delete',
+  'videos:read',
+  'videos:create',
+  'videos:update',
+  'videos:review',
+  'videos:publish',
+  'videos:feature',
+  'videos:delete',
+  'media:read',
+  'media:upload',
+  'media:update',
+  'media:delete',
+  'feedback:read',
+  'feedback:delete',
+  'analytics:read',
+  'alerts:read',
+  'categories:manage',
+  'tags:manage',
+  'collections:manage',
+  'users:read',
+  'users:manage',
+  'audit:read'
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  reporter: [
+    'news:read',
+    'news:create',
+    'news:update:own',
+    'media:read',
+    'media:upload',
+    'media:update:own'
+  ],
+  editor: [
+    'news:read',
+    'news:create',
+    'news:update',
+    'news:review',
+    'news:publish',
+    'news:feature',
+    'news:breaking',
+    'news:delete',
+    'videos:read',
+    'media:read',
+    'media:upload',
+    'media:update',
+    'media:delete',
+    'feedback:read',
+    'analytics:read',
+    'alerts:read',
+    'collections:manage'
+  ],
+  video_producer: [
+    'news:read',
+    'videos:read',
+    'videos:create',
+    'videos:update',
+    'videos:review',
+    'videos:publish',
+    'videos:feature',
+    'media:read',
+    'media:upload',
+    'media:update',
+    'media:delete',
+    'analytics:read',
+    'collections:manage'
+  ],
+  moderator: [
+    'news:read',
+    'videos:read',
+    'feedback:read',
+    'feedback:delete'
+  ],
+  admin: PERMISSIONS,
+  super_admin: PERMISSIONS
+};
+
+// Scopes that can be granted to API keys, and the permissions each one carries
+const API_KEY_SCOPES = {
+  'news:read': ['news:read'],
+  'news:write': ['news:read', 'news:create', 'news:update', 'news:publish'],
+  'videos:read': ['videos:read'],
+  'videos:write': ['videos:read', 'videos:create', 'videos:update', 'videos:publish'],
+  'media:read': ['media:read'],
+  'media:write': ['media:read', 'media:upload', 'media:update'],
+  'feedback:read': ['feedback:read'],
+  'analytics:read': ['analytics:read']
+};
+
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+const scopesAllow = (scopes, permission) => {
+  return (scopes || []).some(scope => (API_KEY_SCOPES[scope] || []).includes(permission));
+};
+
+// Permission check for req.user: API keys by scope, everyone else by role
+const actorHasPermission = (actor, permission) => {
+  if (!actor) return false;
+  return actor.isApiKey ? scopesAllow(actor.scopes, permission) : hasPermission(actor.role, permission);
+};
+
+const isStaffRole = (role) => STAFF_ROLES.includes(role);
+
+// super_admins manage everyone; other managers only non-privileged accounts
+const canManageRole = (actorRole, targetRole) => {
+  if (actorRole === 'super_admin') return true;
+  return !PRIVILEGED_ROLES.includes(targetRole);
+};
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  PRIVILEGED_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  API_KEY_SCOPES,
+  getPermissions,
+  hasPermission,
+  scopesAllow,
+  actorHasPermission,
+  isStaffRole,
+  canManageRole,
+};
@@ -0,0 +1,68 @@
+// Editorial workflow shared by news articles and videos.
+// Content moves through STATUSES only along the TRANSITIONS table; each transition
+// names the action recorded in the history and the permission it needs
+// ("<resource>:<permission>", e.g. "news:review").
+
+const STATUSES = ['draft', 'in_review', 'changes_requested', 'approved', 'published', 'archived'];
+
+// Statuses of content that has not gone live (publishedAt is cleared in these)
+const UNPUBLISHED_STATUSES = ['draft', 'in_review', 'changes_requested', 'approved'];
+
+// Statuses in which an author holding only "<resource>:update:own" may still edit their work
+const AUTHOR_EDITABLE_STATUSES = ['draft', 'changes_requested'];
+
+const TRANSITIONS = {
+  draft: {
+    in_review: { action: 'submit', permission: 'update' }
+  },
+  in_review: {
+    approved: { action: 'approve', permission: 'review' },
+    changes_requested: { action: 'request_changes', permission: 'review', commentRequired: true },
+    draft: { action: 'withdraw', permission: 'update' }
+  },
+  changes_requested: {
+    in_review: { action: 'resubmit', permission: 'update' },
+    draft: { action: 'withdraw', permission: 'update' }
+  },
+  approved: {
+    published: { action: 'publish', permission: 'publish' },
+    changes_requested: { action: 'request_changes', permission: 'review', commentRequired: true },
+    draft: { action: 'withdraw', permission: 'update' }
+  },
+  published: {
+    archived: { action: 'archive', permission: 'publish' },
+    draft: { action: 'unpublish', permission: 'publish' }
+  },
+  archived: {
+    published: { action: 'republish', permission: 'publish' },
+    draft: { action: 'restore', permission: 'update' }
+  }
+};
+
+// Small desks can let publishers skip review entirely
+if (process.env.WORKFLOW_ALLOW_DIRECT_PUBLISH === 'true') {
+  TRANSITIONS.draft.published = { action: 'publish', permission: 'publish' };
+}
+
+const getTransition = (from, to) => (TRANSITIONS[from] && TRANSITIONS[from][to]) || null;
+
+const allowedTransitions = (from) => Object.keys(TRANSITIONS[from] || {});
+
+// Named work queues: each maps the current user's id to a query filter
+const WORKFLOW_QUEUES = {
+  'awaiting-my-review': (userId) => ({ status: 'in_review', assignedReviewer: userId }),
+  'unassigned-review': () => ({ status: 'in_review', assignedReviewer: null }),
+  'changes-requested': (userId) => ({ status: 'changes_requested', createdBy: userId }),
+  'ready-to-publish': () => ({ status: 'approved' }),
+  'my-submissions': (userId) => ({ status: { $in: ['in_review', 'approved'] }, createdBy: userId })
+};
+
+module.exports = {
+  STATUSES,
+  UNPUBLISHED_STATUSES,
+  AUTHOR_EDITABLE_STATUSES,
+  TRANSITIONS,
+  WORKFLOW_QUEUES,
+  getTransition,
+  allowedTransitions,
+};
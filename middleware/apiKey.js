@@ -0,0 +1,139 @@
+const rateLimit = require('express-rate-limit');
+const ApiKey = require('../models/ApiKey');
+const { hashToken, safeCompare, parseApiKey } = require('../utils/tokens');
+
+const API_KEY_HEADER = 'X-API-Key';
+
+// Routes (below /api) that API keys can use, by the resource of the scopes that
+// authorize them ("news" for news:read and news:write)
+const API_KEY_ROUTES = [
+  { path: '/news', resource: 'news' },
+  { path: '/videos', resource: 'videos' },
+  { path: '/feedback', resource: 'feedback' },
+  { path: '/admin/media', resource: 'media' },
+  { path: '/admin/dashboard', resource: 'analytics' },
+  { path: '/admin/analytics', resource: 'analytics' },
+  { path: '/admin/content-stats', resource: 'analytics' }
+];
+
+// Whether one of the key's scopes covers the route at `path`
+const keyCoversRoute = (apiKey, path) => {
+  const route = API_KEY_ROUTES.find(({ path: prefix }) => path === prefix || path.startsWith(`${prefix}/`));
+  if (!route) return false;
+  return apiKey.scopes.some(scope => scope.split(':')[0] === route.resource);
+};
+
+// Per-key limiter: each key gets its own budget (rateLimitPerMinute),
+// independent of the global per-IP limiter in server.js
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: (req) => req.apiKey.rateLimitPerMinute,
+  keyGenerator: (req) => `api-key:${req.apiKey._id}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'API key rate limit exceeded, please slow down.'
+  }
+});
+
+// Throttles guessing of keys from a single IP; successful requests are not counted
+const apiKeyAttemptLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many invalid API key attempts, please try again later.'
+  }
+});
+
+const rejectKey = (res) => {
+  return res.status(401).json({
+    success: false,
+    message: 'Invalid, expired or revoked API key.'
+  });
+};
+
+// The active key matching `key`, or null
+const findActiveKey = async (key) => {
+  const parsed = parseApiKey(key);
+  if (!parsed) return null;
+
+  const apiKey = await ApiKey.findOne({ prefix: parsed.prefix }).select('+keyHash');
+  if (!apiKey || !apiKey.isActive || !safeCompare(apiKey.keyHash, hashToken(key))) {
+    return null;
+  }
+  return apiKey;
+};
+
+// Runs before the global per-IP limiter (server.js): a valid key moves the request
+// onto its key's budget instead, but only on routes its scopes cover. Everything else,
+// including sign-in, stays on the per-IP limiter; invalid keys are rejected by
+// authenticateApiKey on routes that accept keys.
+const identifyApiKey = async (req, res, next) => {
+  const key = req.header(API_KEY_HEADER);
+  if (!key) return next();
+
+  try {
+    const apiKey = await findActiveKey(key);
+    if (!apiKey || !keyCoversRoute(apiKey, req.path)) return next();
+
+    req.apiKey = apiKey;
+    apiKeyLimiter(req, res, next);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const signInWithKey = async (req, apiKey) => {
+  req.apiKey = apiKey;
+  req.user = {
+    userId: apiKey.createdBy,
+    name: apiKey.name,
+    role: 'api_key',
+    isApiKey: true,
+    apiKeyId: apiKey._id,
+    scopes: apiKey.scopes
+  };
+
+  await ApiKey.updateOne(
+    { _id: apiKey._id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } }
+  );
+};
+
+// Authenticate a machine client by the X-API-Key header. Called by authMiddleware.
+const authenticateApiKey = async (req, res, next) => {
+  // Already validated and rate limited by identifyApiKey
+  if (req.apiKey) {
+    try {
+      await signInWithKey(req, req.apiKey);
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  apiKeyAttemptLimiter(req, res, async (limitError) => {
+    if (limitError) return next(limitError);
+
+    try {
+      const apiKey = await findActiveKey(req.header(API_KEY_HEADER));
+      if (!apiKey) return rejectKey(res);
+
+      await signInWithKey(req, apiKey);
+      apiKeyLimiter(req, res, next);
+    } catch (error) {
+      next(error);
+    }
+  });
+};
+
+module.exports = {
+  API_KEY_HEADER,
+  identifyApiKey,
+  authenticateApiKey,
+};
@@ -0,0 +1,26 @@
+const { recordAudit } = require('../utils/audit');
+
+// Audit middleware - records `action` once the response has been sent successfully.
+// Handlers can enrich the entry through res.locals.audit:
+//   { targetId, before, after, metadata }
+// targetId defaults to req.params.id.
+const audit = (action, targetType) => {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      if (res.statusCode >= 400) return;
+
+      const details = res.locals.audit || {};
+      recordAudit(req, {
+        action,
+        targetType,
+        targetId: req.params.id,
+        ...details
+      });
+    });
+    next();
+  };
+};
+
+module.exports = {
+  audit,
+};
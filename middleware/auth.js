@@ -1,10 +1,31 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { JWT_SECRET } = require('../utils/tokens');
+const { hasPermission, scopesAllow, isStaffRole } = require('../config/permissions');
+const { AUTHOR_EDITABLE_STATUSES } = require('../config/workflow');
+const { API_KEY_HEADER, authenticateApiKey } = require('./apiKey');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+// Resolve the server-side session an access token is bound to.
+// Returns null when the session is missing, revoked or expired.
+const findActiveSession = async (decoded) => {
+  if (!decoded.sid) return null;
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive || session.user.toString() !== String(decoded.userId)) {
+    return null;
+  }
+  return session;
+};
 
 // Authentication middleware
 const authMiddleware = async (req, res, next) => {
+  // Machine clients authenticate with an API key instead of a bearer token
+  if (req.header(API_KEY_HEADER)) {
+    return authenticateApiKey(req, res, next);
+  }
+
   try {
     const authHeader = req.header('Authorization');
     const token = authHeader && authHeader.startsWith('Bearer ') 
@@ -29,6 +50,14 @@ const authMiddleware = async (req, res, next) => {
       return next();
     }
 
+    const session = await findActiveSession(decoded);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked. Please login again.'
+      });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
     if (!user) {
       return res.status(401).json({
@@ -57,7 +86,9 @@ const authMiddleware = async (req, res, next) => {
       name: user.name,
       role: user.role,
       status: user.status,
-      preferences: user.preferences
+      emailVerified: user.emailVerified,
+      preferences: user.preferences,
+      sessionId: session._id
     };
 
     next();
@@ -101,6 +132,84 @@ const superAdminMiddleware = (req, res, next) => {
   }
   return res.status(403).json({ success: false, message: 'Access denied. Super admin privileges required.' });
 };
+// Account self-service routes act on the signed-in person, so API keys are refused there
+const sessionOnlyMiddleware = (req, res, next) => {
+  if (req.user && req.user.isApiKey) {
+    return res.status(403).json({ success: false, message: 'API keys cannot be used for this endpoint.' });
+  }
+  next();
+};
+
+// Staff middleware - any role allowed into the admin portal
+const staffMiddleware = (req, res, next) => {
+  if (req.user && (req.user.isApiKey || isStaffRole(req.user.role))) {
+    return next();
+  }
+  return res.status(403).json({ success: false, message: 'Access denied. Staff privileges required.' });
+};
+
+// Permission middleware.
+// options.when(req)    - only enforce the permission when this returns true
+// options.isOwner(req) - async ownership check, consulted when the role only
+//                        holds the "<permission>:own" variant
+const requirePermission = (permission, options = {}) => {
+  return async (req, res, next) => {
+    try {
+      if (options.when && !options.when(req)) {
+        return next();
+      }
+
+      // API keys are limited to the permissions carried by their scopes
+      if (req.user && req.user.isApiKey) {
+        return scopesAllow(req.user.scopes, permission)
+          ? next()
+          : res.status(403).json({ success: false, message: `API key is missing a scope for: ${permission}.` });
+      }
+
+      const role = req.user && req.user.role;
+      if (hasPermission(role, permission)) {
+        return next();
+      }
+
+      if (options.isOwner && hasPermission(role, `${permission}:own`) && await options.isOwner(req)) {
+        return next();
+      }
+
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Missing permission: ${permission}.`
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Ownership check for requirePermission: the document in req.params.id
+// must have been created by the current user and still be editable by its author
+// (draft or changes requested)
+const ownsDraft = (Model) => {
+  return async (req) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return false;
+    const doc = await Model.findById(req.params.id).select('createdBy status').lean();
+    return !!doc && AUTHOR_EDITABLE_STATUSES.includes(doc.status) && String(doc.createdBy) === String(req.user.userId);
+  };
+};
+
+// Blocks publishing by admins whose email is unverified when
+// REQUIRE_VERIFIED_EMAIL_TO_PUBLISH=true. Only requests that set status to "published"
+// or schedule a publish (publishAt) are checked.
+const requireVerifiedEmailToPublish = (req, res, next) => {
+  if (process.env.REQUIRE_VERIFIED_EMAIL_TO_PUBLISH !== 'true') return next();
+  const publishes = req.body.status === 'published' || !!req.body.publishAt;
+  if (!publishes || (req.user && (req.user.emailVerified || req.user.isApiKey))) return next();
+
+  return res.status(403).json({
+    success: false,
+    message: 'Please verify your email address before publishing content.'
+  });
+};
+
 // Optional auth middleware
 const optionalAuthMiddleware = async (req, res, next) => {
   try {
@@ -111,13 +220,15 @@ const optionalAuthMiddleware = async (req, res, next) => {
 
     if (token) {
         const decoded = jwt.verify(token, JWT_SECRET);
-        const user = await User.findById(decoded.userId).select('-password');
+        const session = await findActiveSession(decoded);
+        const user = session && await User.findById(decoded.userId).select('-password');
         if (user && user.status === 'active' && !user.isLocked) {
             req.user = {
                 userId: user._id,
                 email: user.email,
                 name: user.name,
                 role: user.role,
+                sessionId: session._id,
             };
         }
     }
@@ -131,5 +242,10 @@ module.exports = {
   authMiddleware,
   adminMiddleware,
   superAdminMiddleware,
+  staffMiddleware,
+  sessionOnlyMiddleware,
+  requirePermission,
+  ownsDraft,
+  requireVerifiedEmailToPublish,
   optionalAuthMiddleware,
 };
\ No newline at end of file
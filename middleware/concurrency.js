@@ -0,0 +1,18 @@
+const { requestedVersions } = require('../utils/concurrency');
+
+// Requires the version an edit is based on (If-Match header or `version` in the body),
+// so clients cannot overwrite changes they never saw. Answers 428 when it is missing;
+// whether it is still current is checked by the handler once the item is loaded.
+const requireVersion = (req, res, next) => {
+  if (!requestedVersions(req)) {
+    return res.status(428).json({
+      success: false,
+      message: 'Send the version you edited in an If-Match header (the ETag of the item) or as "version" in the body.'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  requireVersion,
+};
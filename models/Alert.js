@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const ALERT_TYPES = ['breaking'];
+// sending: being fanned out or delivered; sent / failed: every queued notification is
+// finished (failed when none got through); rate_limited: not sent because the hourly
+// cap was reached (see utils/alerts.js)
+const ALERT_STATUSES = ['sending', 'sent', 'failed', 'rate_limited'];
+
+// One push alert fanned out to readers' devices through the notification outbox,
+// with its delivery stats
+const alertSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ALERT_TYPES,
+    required: true
+  },
+  news: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'News',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String
+  },
+  category: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ALERT_STATUSES,
+    default: 'sending'
+  },
+  provider: {
+    type: String
+  },
+  stats: {
+    // Users matching the alert's preferences (push, breaking news, categories)
+    eligible: { type: Number, default: 0 },
+    // Eligible users skipped because it was within their silent hours
+    silenced: { type: Number, default: 0 },
+    // Notifications put in the outbox, one per reachable device
+    queued: { type: Number, default: 0 },
+    // Outcome of queued notifications, counted as the outbox finishes them
+    sent: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  // When the fan-out finished and stats.queued is final
+  queuedAt: {
+    type: Date
+  },
+  error: {
+    type: String
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+alertSchema.index({ type: 1, createdAt: -1 });
+alertSchema.index({ news: 1 });
+
+// Alerts of a type sent (or being sent) since `since`; rate-limited ones do not count
+alertSchema.statics.countSentSince = function(type, since) {
+  return this.countDocuments({ type, status: { $ne: 'rate_limited' }, createdAt: { $gte: since } });
+};
+
+// Count finished notifications of an alert ({ sent, failed }) and complete it when none are left
+alertSchema.statics.recordDeliveries = async function(alertId, { sent = 0, failed = 0 }) {
+  await this.updateOne({ _id: alertId }, { $inc: { 'stats.sent': sent, 'stats.failed': failed } });
+  return this.completeIfDelivered(alertId);
+};
+
+// Mark a fanned-out alert sent (or failed, when nothing got through) once every
+// queued notification is finished
+alertSchema.statics.completeIfDelivered = async function(alertId) {
+  const alert = await this.findOne({ _id: alertId, status: 'sending', queuedAt: { $ne: null } }).lean();
+  if (!alert || alert.stats.sent + alert.stats.failed < alert.stats.queued) return;
+
+  const status = alert.stats.failed && !alert.stats.sent ? 'failed' : 'sent';
+  await this.updateOne({ _id: alertId, status: 'sending' }, { $set: { status, completedAt: new Date() } });
+};
+
+alertSchema.statics.ALERT_TYPES = ALERT_TYPES;
+alertSchema.statics.ALERT_STATUSES = ALERT_STATUSES;
+
+module.exports = mongoose.model('Alert', alertSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Public part of the key, used to look it up without exposing the secret
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false // Never expose the key hash in queries by default
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: Object.keys(API_KEY_SCOPES)
+    }],
+    validate: {
+      validator: function(v) {
+        return Array.isArray(v) && v.length > 0;
+      },
+      message: 'At least one scope is required'
+    }
+  },
+  rateLimitPerMinute: {
+    type: Number,
+    default: 60,
+    min: [1, 'Rate limit must be at least 1 request per minute'],
+    max: [10000, 'Rate limit cannot exceed 10000 requests per minute']
+  },
+  expiresAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.keyHash;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+});
+
+// Virtual for the key's current state
+apiKeySchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= Date.now()) return 'expired';
+  return 'active';
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
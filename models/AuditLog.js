@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Denormalized so entries stay readable after the user is changed or removed
+  actorEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  actorRole: {
+    type: String,
+    trim: true
+  },
+  // Set when the action was performed by a machine client
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+  targetType: {
+    type: String,
+    trim: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  changes: {
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed }
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: true
+});
+
+// Indexes for the filterable audit listing
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// Append-only: entries can be created but never modified or removed
+const rejectMutation = function(next) {
+  next(new Error('Audit log entries are immutable'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+auditLogSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany'
+], rejectMutation);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const { slugify } = require('../utils/slug');
+
+const CONTENT_TYPES = ['news', 'videos'];
+
+// Categories that existed as hard-coded enums; seeded into an empty collection
+const DEFAULT_CATEGORIES = {
+  news: ['Politics', 'Technology', 'Sports', 'Entertainment', 'Business', 'Health'],
+  videos: ['News', 'Analysis', 'Interview', 'Documentary', 'Live', 'Entertainment']
+};
+
+const categorySchema = new mongoose.Schema({
+  contentType: {
+    type: String,
+    required: [true, 'Content type is required'],
+    enum: CONTENT_TYPES
+  },
+  // The value stored in News.category / Video.category and user preferences
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Display names per language, e.g. { en: 'Politics', hi: 'राजनीति' }
+  labels: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  color: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return !v || /^#[0-9a-fA-F]{6}$/.test(v);
+      },
+      message: 'Colour must be a hex value such as #1a73e8'
+    }
+  },
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Icon cannot exceed 50 characters']
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Names this category had before a rename, or of categories merged into it,
+  // so old references (e.g. in revisions) still resolve
+  formerNames: [{
+    type: String
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ contentType: 1, name: 1 }, { unique: true });
+categorySchema.index({ contentType: 1, slug: 1 }, { unique: true });
+categorySchema.index({ contentType: 1, active: 1, order: 1 });
+
+// Slug defaults to the name; an edited slug is normalized
+categorySchema.pre('validate', function(next) {
+  if (!this.slug) {
+    this.slug = slugify(this.name);
+  } else if (this.isModified('slug')) {
+    this.slug = slugify(this.slug);
+  }
+  next();
+});
+
+categorySchema.statics.listActive = function(contentType) {
+  return this.find({ contentType, active: true }).sort({ order: 1, name: 1 });
+};
+
+categorySchema.statics.isActiveName = async function(contentType, name) {
+  return !!(await this.exists({ contentType, name, active: true }));
+};
+
+// Current name for a category name that may have been renamed or merged since
+categorySchema.statics.resolveName = async function(contentType, name) {
+  const category = await this.findOne({ contentType, $or: [{ name }, { formerNames: name }] })
+    .select('name')
+    .lean();
+  return category ? category.name : null;
+};
+
+// Create the former hard-coded categories when a content type has none yet
+categorySchema.statics.seedDefaults = async function() {
+  let created = 0;
+  for (const contentType of CONTENT_TYPES) {
+    if (await this.exists({ contentType })) continue;
+
+    await this.insertMany(DEFAULT_CATEGORIES[contentType].map((name, index) => ({
+      contentType,
+      name,
+      slug: slugify(name),
+      labels: { en: name },
+      order: index
+    })));
+    created += DEFAULT_CATEGORIES[contentType].length;
+  }
+  return created;
+};
+
+categorySchema.statics.CONTENT_TYPES = CONTENT_TYPES;
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const { MAX_SLUG_LENGTH, assignSlug } = require('../utils/slug');
+const Media = require('./Media');
+
+// series: a multi-part story read in order; playlist: videos watched in order;
+// collection: a curated, loosely ordered selection
+const COLLECTION_KINDS = ['series', 'collection', 'playlist'];
+const COLLECTION_STATUSES = ['draft', 'published', 'archived'];
+const MAX_COLLECTION_ITEMS = 200;
+
+// Ordered member list mixing news articles and videos; a member's position is its "part"
+const collectionItemSchema = new mongoose.Schema({
+  model: {
+    type: String,
+    enum: ['News', 'Video'],
+    required: true
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'items.model',
+    required: true
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const collectionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [MAX_SLUG_LENGTH, `Slug cannot exceed ${MAX_SLUG_LENGTH} characters`]
+  },
+  slugHistory: [{
+    type: String
+  }],
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  kind: {
+    type: String,
+    enum: COLLECTION_KINDS,
+    default: 'series'
+  },
+  coverImageUrl: {
+    type: String,
+    trim: true
+  },
+  // Media library image the cover URL comes from (see models/Media.js)
+  coverMedia: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media'
+  },
+  items: {
+    type: [collectionItemSchema],
+    validate: {
+      validator: items => items.length <= MAX_COLLECTION_ITEMS,
+      message: `A collection cannot have more than ${MAX_COLLECTION_ITEMS} items`
+    }
+  },
+  status: {
+    type: String,
+    enum: COLLECTION_STATUSES,
+    default: 'draft'
+  },
+  featured: {
+    type: Boolean,
+    default: false
+  },
+  publishedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+collectionSchema.index({ slug: 1 }, { unique: true, sparse: true });
+collectionSchema.index({ slugHistory: 1 });
+collectionSchema.index({ status: 1, featured: 1, createdAt: -1 });
+collectionSchema.index({ 'items.item': 1 });
+collectionSchema.index({ coverMedia: 1 }, { sparse: true });
+
+collectionSchema.pre('validate', async function() {
+  await assignSlug(this, this.title);
+  await Media.syncContentImage(this, 'coverMedia', 'coverImageUrl');
+});
+
+// Checked here rather than on `items` so that changing `kind` alone is caught too
+collectionSchema.pre('validate', function() {
+  if (this.kind === 'playlist' && this.items.some(entry => entry.model !== 'Video')) {
+    this.invalidate('items', 'Playlists can only contain videos');
+  }
+});
+
+collectionSchema.pre('save', function() {
+  if (this.isModified('status') && this.status === 'published' && !this.publishedAt) {
+    this.publishedAt = new Date();
+  }
+});
+
+collectionSchema.statics.findBySlug = function(slug) {
+  const value = String(slug).toLowerCase();
+  return this.findOne({ $or: [{ slug: value }, { slugHistory: value }] });
+};
+
+// Take items out of every collection, e.g. when they are purged from the trash
+collectionSchema.statics.removeItems = function(modelName, ids) {
+  return this.updateMany(
+    { items: { $elemMatch: { model: modelName, item: { $in: ids } } } },
+    { $pull: { items: { model: modelName, item: { $in: ids } } } }
+  );
+};
+
+collectionSchema.statics.COLLECTION_KINDS = COLLECTION_KINDS;
+collectionSchema.statics.COLLECTION_STATUSES = COLLECTION_STATUSES;
+collectionSchema.statics.MAX_COLLECTION_ITEMS = MAX_COLLECTION_ITEMS;
+
+module.exports = mongoose.model('Collection', collectionSchema);
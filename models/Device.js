@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { ALERT_TYPES } = require('./Alert');
+
+const PLATFORMS = ['android', 'ios', 'web'];
+
+// A reader's app install that can receive push notifications. The token is the push
+// provider's address for it and moves to whoever signs in on the device last.
+const deviceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  token: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  platform: {
+    type: String,
+    enum: PLATFORMS,
+    required: true
+  },
+  appVersion: {
+    type: String,
+    trim: true
+  },
+  osVersion: {
+    type: String,
+    trim: true
+  },
+  model: {
+    type: String,
+    trim: true
+  },
+  // Notification types this device does not want, on top of the user's preferences
+  optOuts: [{
+    type: String,
+    enum: ALERT_TYPES
+  }],
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when the push provider rejects the token; such devices get nothing until re-registered
+  invalidatedAt: {
+    type: Date
+  },
+  invalidReason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+deviceSchema.index({ user: 1, invalidatedAt: 1 });
+
+// Register a token for a user, or refresh it: updates details, moves it to the user
+// and clears an earlier invalidation. Returns { device, created }.
+deviceSchema.statics.register = async function(userId, { token, platform, appVersion, osVersion, model, optOuts }) {
+  const existing = await this.findOne({ token });
+  const device = existing || new this({ token });
+
+  device.set({ user: userId, platform, lastSeenAt: new Date(), invalidatedAt: undefined, invalidReason: undefined });
+  if (appVersion !== undefined) device.appVersion = appVersion;
+  if (osVersion !== undefined) device.osVersion = osVersion;
+  if (model !== undefined) device.model = model;
+  if (optOuts !== undefined) device.optOuts = optOuts;
+
+  await device.save();
+  return { device, created: !existing };
+};
+
+// Devices of these users that can receive a notification of `type`
+deviceSchema.statics.findReachable = function(userIds, type) {
+  return this.find({ user: { $in: userIds }, invalidatedAt: null, optOuts: { $ne: type } });
+};
+
+deviceSchema.statics.invalidate = function(deviceIds, reason) {
+  return this.updateMany(
+    { _id: { $in: deviceIds }, invalidatedAt: null },
+    { $set: { invalidatedAt: new Date(), invalidReason: reason } }
+  );
+};
+
+deviceSchema.statics.PLATFORMS = PLATFORMS;
+
+module.exports = mongoose.model('Device', deviceSchema);
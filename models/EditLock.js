@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Advisory "who is editing" marker for a content item. It does not block saves
+// (versions do that, see utils/concurrency.js); editors' clients renew it while the
+// item is open and it lapses on its own when they stop.
+const editLockSchema = new mongoose.Schema({
+  resourceType: {
+    type: String,
+    enum: ['news', 'videos'],
+    required: true
+  },
+  resourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+editLockSchema.index({ resourceType: 1, resourceId: 1 }, { unique: true });
+// Expired locks are removed by MongoDB; queries also ignore them until then
+editLockSchema.index({ lockedUntil: 1 }, { expireAfterSeconds: 0 });
+
+// Current holder of the lock on an item, or null
+editLockSchema.statics.current = function(resourceType, resourceId) {
+  return this.findOne({ resourceType, resourceId, lockedUntil: { $gt: new Date() } })
+    .populate('user', 'name email');
+};
+
+// Take or renew the lock for ttlMs. Another user's live lock is only taken over with
+// `force`. Returns { acquired, lock } where lock is the holder afterwards.
+editLockSchema.statics.acquire = async function(resourceType, resourceId, userId, ttlMs, { force = false } = {}) {
+  const now = new Date();
+  const filter = force
+    ? { resourceType, resourceId }
+    : { resourceType, resourceId, $or: [{ lockedUntil: { $lte: now } }, { user: userId }] };
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      filter,
+      { $set: { user: userId, lockedUntil: new Date(now.getTime() + ttlMs) } },
+      { upsert: true, new: true }
+    ).populate('user', 'name email');
+    return { acquired: true, lock };
+  } catch (error) {
+    // The upsert collides with the existing document while someone else holds the lock
+    if (error.code !== 11000) throw error;
+    return { acquired: false, lock: await this.current(resourceType, resourceId) };
+  }
+};
+
+editLockSchema.statics.release = function(resourceType, resourceId, userId) {
+  return this.deleteOne({ resourceType, resourceId, user: userId });
+};
+
+module.exports = mongoose.model('EditLock', editLockSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDeletePlugin = require('./plugins/softDelete');
 
 const feedbackSchema = new mongoose.Schema({
   feedback: {
@@ -23,4 +24,6 @@ const feedbackSchema = new mongoose.Schema({
   timestamps: true
 });
 
+feedbackSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('Feedback', feedbackSchema);
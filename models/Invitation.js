@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const { STAFF_ROLES } = require('../config/permissions');
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v);
+      },
+      message: 'Please provide a valid email address'
+    }
+  },
+  role: {
+    type: String,
+    required: [true, 'Role is required'],
+    enum: STAFF_ROLES
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date
+  },
+  acceptedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+invitationSchema.index({ email: 1, createdAt: -1 });
+invitationSchema.index({ expiresAt: 1 });
+
+// Virtual for the invitation's current state
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= Date.now()) return 'expired';
+  return 'pending';
+});
+
+// Query filter for each status (mirrors the virtual above)
+invitationSchema.statics.statusFilter = function(status) {
+  const now = new Date();
+  switch (status) {
+    case 'accepted':
+      return { acceptedAt: { $exists: true } };
+    case 'revoked':
+      return { revokedAt: { $exists: true }, acceptedAt: { $exists: false } };
+    case 'expired':
+      return { expiresAt: { $lte: now }, acceptedAt: { $exists: false }, revokedAt: { $exists: false } };
+    case 'pending':
+      return { expiresAt: { $gt: now }, acceptedAt: { $exists: false }, revokedAt: { $exists: false } };
+    default:
+      return {};
+  }
+};
+
+invitationSchema.statics.findPendingForEmail = function(email) {
+  return this.findOne({ email: email.toLowerCase(), ...this.statusFilter('pending') });
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Lease-style lock shared by every server instance, so a background job
+// (e.g. the publishing scheduler) runs on only one of them at a time.
+const jobLockSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Take (or renew) the lock for ttlMs. Returns true when this owner holds it.
+jobLockSchema.statics.acquire = async function(name, owner, ttlMs) {
+  const now = new Date();
+  try {
+    const lock = await this.findOneAndUpdate(
+      { _id: name, $or: [{ lockedUntil: { $lte: now } }, { owner }] },
+      { $set: { owner, lockedUntil: new Date(now.getTime() + ttlMs) } },
+      { upsert: true, new: true }
+    );
+    return lock.owner === owner;
+  } catch (error) {
+    // The upsert collides with the existing document while another owner holds the lock
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+jobLockSchema.statics.release = function(name, owner) {
+  return this.deleteOne({ _id: name, owner });
+};
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
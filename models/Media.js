@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+// Where content can use a media item: by reference (`refFields`, including image
+// content blocks) or by one of its URLs pasted into a URL field. Trashed content
+// counts, since it can be restored.
+const MEDIA_USAGES = [
+  { type: 'news', model: 'News', refFields: ['imageMedia', 'blocks.mediaId'], urlFields: ['imageUrl', 'seo.ogImage'] },
+  { type: 'videos', model: 'Video', refFields: ['thumbnailMedia'], urlFields: ['thumbnailUrl', 'seo.ogImage'] },
+  { type: 'collections', model: 'Collection', refFields: ['coverMedia'], urlFields: ['coverImageUrl'] }
+];
+
+// Rendition preferred when a media item is attached to content
+const CONTENT_RENDITION = 'large';
+
+const renditionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  mimeType: String,
+  width: Number,
+  height: Number,
+  size: Number
+}, { _id: false });
+
+const mediaSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  // Describes the image for screen readers; shown wherever the image is used
+  alt: {
+    type: String,
+    trim: true,
+    maxlength: [250, 'Alt text cannot exceed 250 characters']
+  },
+  // Photographer or agency, e.g. "PTI" or "Photo: R. Sharma"
+  credit: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Credit cannot exceed 200 characters']
+  },
+  originalName: {
+    type: String,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  width: Number,
+  height: Number,
+  // Storage backend the files were written to (see utils/storage.js)
+  storage: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  renditions: [renditionSchema],
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+mediaSchema.index({ createdAt: -1 });
+mediaSchema.index({ mimeType: 1, createdAt: -1 });
+mediaSchema.index({ title: 'text', alt: 'text', credit: 'text', originalName: 'text' });
+
+// URL of a rendition, falling back to the original when the image is smaller than it
+mediaSchema.methods.getUrl = function(renditionName) {
+  const rendition = this.renditions.find(item => item.name === renditionName);
+  return rendition ? rendition.url : this.url;
+};
+
+mediaSchema.methods.getKeys = function() {
+  return [this.key, ...this.renditions.map(rendition => rendition.key)];
+};
+
+mediaSchema.methods.getUrls = function() {
+  return [this.url, ...this.renditions.map(rendition => rendition.url)];
+};
+
+// Content items using this media, e.g. [{ type: 'news', _id, title, status, deletedAt }]
+mediaSchema.methods.findUsage = async function() {
+  const urls = this.getUrls();
+  const results = await Promise.all(MEDIA_USAGES.map(async ({ type, model, refFields, urlFields }) => {
+    const items = await mongoose.model(model)
+      .find({
+        $or: [
+          ...refFields.map(field => ({ [field]: this._id })),
+          ...urlFields.map(field => ({ [field]: { $in: urls } }))
+        ]
+      })
+      .select('title slug status deletedAt')
+      .setOptions({ withDeleted: true })
+      .lean();
+    return items.map(item => ({ type, ...item }));
+  }));
+  return results.flat();
+};
+
+// Pre-validate helper for content models: attaching media (refField) sets the URL
+// field from it; replacing the URL by hand detaches the media.
+mediaSchema.statics.syncContentImage = async function(doc, refField, urlField) {
+  if (doc.isModified(refField) && doc.get(refField)) {
+    const media = await this.findById(doc.get(refField));
+    if (media) {
+      doc.set(urlField, media.getUrl(CONTENT_RENDITION));
+    } else {
+      // Media deleted since (e.g. when restoring an old revision); keep the URL only
+      doc.set(refField, undefined);
+    }
+  } else if (doc.isModified(urlField) && doc.get(refField)) {
+    doc.set(refField, undefined);
+  }
+};
+
+mediaSchema.statics.MEDIA_USAGES = MEDIA_USAGES;
+
+module.exports = mongoose.model('Media', mediaSchema);
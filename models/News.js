@@ -1,4 +1,47 @@
 const mongoose = require('mongoose');
+const softDeletePlugin = require('./plugins/softDelete');
+const taggablePlugin = require('./plugins/taggable');
+const translatablePlugin = require('./plugins/translatable');
+const relatablePlugin = require('./plugins/relatable');
+const { STATUSES, UNPUBLISHED_STATUSES } = require('../config/workflow');
+const { TEXT_SEARCH_LANGUAGES } = require('../config/languages');
+const { MAX_SLUG_LENGTH, assignSlug } = require('../utils/slug');
+const NewsRevision = require('./NewsRevision');
+const Media = require('./Media');
+const { dispatchBreakingAlert } = require('../utils/alerts');
+const {
+  CONTENT_FORMATS,
+  BLOCK_TYPES,
+  sanitizeContentHtml,
+  htmlToText,
+  readingTimeMinutes,
+  renderBlocks
+} = require('../utils/content');
+
+// Editorial fields captured in revision history
+const REVISIONED_FIELDS = ['title', 'summary', 'content', 'contentFormat', 'blocks', 'category', 'imageUrl', 'imageMedia', 'tags', 'author', 'seo'];
+
+// One structured content block; which fields apply depends on `type` (see utils/content.js)
+const blockSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: BLOCK_TYPES,
+    required: true
+  },
+  text: String,
+  level: Number,
+  mediaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media'
+  },
+  caption: String,
+  alt: String,
+  cite: String,
+  provider: String,
+  url: String,
+  style: String,
+  items: [String]
+}, { _id: false });
 
 const newsSchema = new mongoose.Schema({
   title: {
@@ -7,21 +50,77 @@ const newsSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Title cannot exceed 200 characters']
   },
+  // Generated from the title on creation; editable afterwards
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    unique: true,
+    sparse: true,
+    maxlength: [MAX_SLUG_LENGTH, `Slug cannot exceed ${MAX_SLUG_LENGTH} characters`]
+  },
+  // Former slugs that still resolve to this item
+  slugHistory: [{
+    type: String
+  }],
+  seo: {
+    metaTitle: {
+      type: String,
+      trim: true,
+      maxlength: [70, 'Meta title cannot exceed 70 characters']
+    },
+    metaDescription: {
+      type: String,
+      trim: true,
+      maxlength: [160, 'Meta description cannot exceed 160 characters']
+    },
+    canonicalUrl: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: function(v) {
+          return !v || /^https?:\/\/.+/.test(v);
+        },
+        message: 'Canonical URL must be a valid HTTP/HTTPS URL'
+      }
+    },
+    ogImage: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: function(v) {
+          return !v || /^https?:\/\/.+/.test(v);
+        },
+        message: 'Open Graph image must be a valid HTTP/HTTPS URL'
+      }
+    }
+  },
   summary: {
     type: String,
     required: [true, 'Summary is required'],
     trim: true,
     maxlength: [500, 'Summary cannot exceed 500 characters']
   },
+  // Clean HTML: sanitized on save, or rendered from `blocks`
   content: {
     type: String,
     required: [true, 'Content is required'],
     trim: true
   },
+  contentFormat: {
+    type: String,
+    enum: CONTENT_FORMATS,
+    default: 'html'
+  },
+  blocks: [blockSchema],
+  // Plain text of the content, for reading time, previews and feeds
+  contentText: {
+    type: String
+  },
+  // Name of a news Category (validated against the categories collection by the routes)
   category: {
     type: String,
     required: [true, 'Category is required'],
-    enum: ['Politics', 'Technology', 'Sports', 'Entertainment', 'Business', 'Health'],
     trim: true
   },
   imageUrl: {
@@ -34,11 +133,50 @@ const newsSchema = new mongoose.Schema({
       message: 'Image URL must be a valid HTTP/HTTPS URL'
     }
   },
+  // Media library image the imageUrl was taken from, if any
+  imageMedia: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media'
+  },
   status: {
     type: String,
-    enum: ['published', 'draft'],
+    enum: STATUSES,
     default: 'draft'
   },
+  // Editorial workflow (see config/workflow.js)
+  assignedReviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: {
+    type: Date
+  },
+  archivedAt: {
+    type: Date
+  },
+  // Timed status changes applied by utils/scheduler.js
+  scheduledPublishAt: {
+    type: Date
+  },
+  scheduledUnpublishAt: {
+    type: Date
+  },
+  scheduledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  workflowHistory: [{
+    from: { type: String, enum: STATUSES },
+    to: { type: String, enum: STATUSES, required: true },
+    action: { type: String, required: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    comment: { type: String, trim: true, maxlength: 2000 },
+    at: { type: Date, default: Date.now }
+  }],
   views: {
     type: Number,
     default: 0,
@@ -49,6 +187,7 @@ const newsSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Normalized on save and registered in the Tag collection (see models/plugins/taggable.js)
   tags: [{
     type: String,
     trim: true
@@ -62,31 +201,89 @@ const newsSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Breaking news is pushed to readers once, when it is published (see utils/alerts.js)
+  breaking: {
+    type: Boolean,
+    default: false
+  },
+  breakingAlertedAt: {
+    type: Date
+  },
   publishedAt: {
     type: Date
   },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  },
+  // Number of the latest stored revision
+  revision: {
+    type: Number,
+    default: 0,
+    min: 0
   }
 }, {
   timestamps: true,
+  // Every save bumps __v and fails if the copy was loaded before another save (see utils/concurrency.js)
+  optimisticConcurrency: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
 
 // Indexes for better query performance
 newsSchema.index({ status: 1, createdAt: -1 });
+newsSchema.index({ slugHistory: 1 });
+newsSchema.index({ assignedReviewer: 1, status: 1 });
+newsSchema.index({ scheduledPublishAt: 1 }, { sparse: true });
+newsSchema.index({ scheduledUnpublishAt: 1 }, { sparse: true });
 newsSchema.index({ category: 1, status: 1 });
 newsSchema.index({ featured: 1, status: 1 });
-newsSchema.index({ title: 'text', summary: 'text', content: 'text' });
+newsSchema.index({ imageMedia: 1 }, { sparse: true });
+newsSchema.index({ 'blocks.mediaId': 1 }, { sparse: true });
+// Stemming follows each item's language (see config/languages.js)
+newsSchema.index({ title: 'text', summary: 'text', content: 'text' }, {
+  name: 'news_text',
+  default_language: 'english',
+  language_override: 'textLanguage'
+});
 
 // Virtual for reading time estimation
 newsSchema.virtual('readingTime').get(function() {
-  const wordsPerMinute = 200;
-  const wordCount = this.content.split(/\s+/).length;
-  const readingTime = Math.ceil(wordCount / wordsPerMinute);
-  return readingTime;
+  return readingTimeMinutes(this.contentText || htmlToText(this.content));
+});
+
+// SEO metadata with defaults filled in from the content
+newsSchema.virtual('seoMeta').get(function() {
+  const seo = this.seo || {};
+  return {
+    metaTitle: seo.metaTitle || this.title,
+    metaDescription: seo.metaDescription || this.summary,
+    canonicalUrl: seo.canonicalUrl,
+    ogImage: seo.ogImage || this.imageUrl
+  };
+});
+
+// Keep a unique slug, remembering replaced ones, and the image in step with its media
+newsSchema.pre('validate', async function() {
+  await assignSlug(this, this.title);
+  await Media.syncContentImage(this, 'imageMedia', 'imageUrl');
+});
+
+// Content is stored as clean HTML either way: blocks are rendered, legacy HTML is sanitized.
+// Block articles always take their content from the blocks, so it is re-rendered on any change.
+newsSchema.pre('validate', async function() {
+  if (this.contentFormat === 'blocks') {
+    if (this.isNew || this.isModified('blocks') || this.isModified('contentFormat') || this.isModified('content')) {
+      this.content = await renderBlocks(this.blocks);
+    }
+  } else if (this.isNew || this.isModified('content') || this.isModified('contentFormat')) {
+    this.content = sanitizeContentHtml(this.content);
+    if (this.blocks.length) this.blocks = [];
+  }
+
+  if (this.isModified('content') || !this.contentText) {
+    this.contentText = htmlToText(this.content);
+  }
 });
 
 // Pre-save middleware
@@ -96,15 +293,83 @@ newsSchema.pre('save', function(next) {
     this.publishedAt = new Date();
   }
   
-  // Remove publishedAt if status changes to draft
-  if (this.isModified('status') && this.status === 'draft') {
+  // Remove publishedAt if status moves back before publication
+  if (this.isModified('status') && UNPUBLISHED_STATUSES.includes(this.status)) {
     this.publishedAt = undefined;
   }
+
+  // Track when content was archived; publishedAt is kept for the record
+  if (this.isModified('status')) {
+    this.archivedAt = this.status === 'archived' ? new Date() : undefined;
+  }
+
+  // A manual publish or archive supersedes the matching schedule
+  if (this.isModified('status') && this.status === 'published') {
+    this.scheduledPublishAt = undefined;
+  }
+  if (this.isModified('status') && this.status === 'archived') {
+    this.scheduledUnpublishAt = undefined;
+  }
+
+  // Only editorial changes create a revision; view counts, status and flags do not
+  const changedFields = this.isNew
+    ? REVISIONED_FIELDS.filter(field => this.get(field) !== undefined)
+    : REVISIONED_FIELDS.filter(field => this.isModified(field));
+
+  if (changedFields.length) {
+    this.revision += 1;
+    this.$locals.revisionChanges = changedFields;
+  }
+
+  // Publishing breaking news, or flagging published news as breaking, alerts readers
+  if (this.breaking && this.status === 'published' && !this.breakingAlertedAt
+    && (this.isModified('status') || this.isModified('breaking'))) {
+    this.$locals.sendBreakingAlert = true;
+  }
   
   next();
 });
 
+// Sent in the background so publishing does not wait for the fan-out
+newsSchema.post('save', function(doc) {
+  if (!doc.$locals.sendBreakingAlert) return;
+  delete doc.$locals.sendBreakingAlert;
+
+  const lastTransition = doc.workflowHistory[doc.workflowHistory.length - 1];
+  const triggeredBy = doc.$locals.alertTriggeredBy || (lastTransition && lastTransition.by);
+  dispatchBreakingAlert(doc, { triggeredBy }).catch(error => {
+    console.error('Breaking news alert error:', error);
+  });
+});
+
+newsSchema.post('save', async function(doc) {
+  const changedFields = doc.$locals.revisionChanges;
+  if (!changedFields) return;
+
+  const { revisionEditor: editor, restoredFrom } = doc.$locals;
+  delete doc.$locals.revisionChanges;
+  delete doc.$locals.restoredFrom;
+  await NewsRevision.record(doc, { changedFields, editor, restoredFrom });
+});
+
 // Static methods
+newsSchema.statics.findBySlug = function(slug) {
+  const value = String(slug).toLowerCase();
+  return this.findOne({ $or: [{ slug: value }, { slugHistory: value }] });
+};
+
+// Give slugs to items created before slugs existed
+newsSchema.statics.backfillSlugs = async function() {
+  const items = await this.find({ $or: [{ slug: null }, { slug: '' }] })
+    .select('title slug slugHistory')
+    .setOptions({ withDeleted: true });
+  for (const item of items) {
+    await assignSlug(item, item.title);
+    await this.updateOne({ _id: item._id }, { $set: { slug: item.slug } });
+  }
+  return items.length;
+};
+
 newsSchema.statics.getPublished = function() {
   return this.find({ status: 'published' }).sort({ createdAt: -1 });
 };
@@ -117,14 +382,43 @@ newsSchema.statics.getByCategory = function(category) {
   return this.find({ status: 'published', category }).sort({ createdAt: -1 });
 };
 
-newsSchema.statics.searchNews = function(query) {
-  return this.find({
-    status: 'published',
-    $text: { $search: query }
-  }).sort({ score: { $meta: 'textScore' } });
+// Full-text search; with a language, only items in that language, stemmed accordingly
+newsSchema.statics.searchNews = function(query, language) {
+  const text = { $search: query };
+  const filter = { status: 'published' };
+  if (language) {
+    text.$language = TEXT_SEARCH_LANGUAGES[language];
+    filter.language = language;
+  }
+  return this.find({ ...filter, $text: text }).sort({ score: { $meta: 'textScore' } });
 };
 
 // Instance methods
+
+// Attribute the next save's revision to a user (req.user); restoredFrom marks a restore
+newsSchema.methods.trackRevision = function(editor, { restoredFrom } = {}) {
+  this.$locals.revisionEditor = editor;
+  this.$locals.restoredFrom = restoredFrom;
+  return this;
+};
+
+// Overwrite the revisioned fields with a stored snapshot (fields missing from it are cleared)
+newsSchema.methods.applyRevisionSnapshot = function(snapshot) {
+  for (const field of REVISIONED_FIELDS) {
+    this.set(field, snapshot[field]);
+  }
+  return this;
+};
+
+newsSchema.methods.getRevisionSnapshot = function() {
+  const snapshot = {};
+  for (const field of REVISIONED_FIELDS) {
+    const value = this.get(field);
+    snapshot[field] = Array.isArray(value) ? [...value] : value;
+  }
+  return snapshot;
+};
+
 newsSchema.methods.incrementViews = function() {
   this.views += 1;
   return this.save();
@@ -135,4 +429,15 @@ newsSchema.methods.incrementShares = function() {
   return this.save();
 };
 
+newsSchema.statics.REVISIONED_FIELDS = REVISIONED_FIELDS;
+
+newsSchema.plugin(softDeletePlugin, { clearOnDelete: ['scheduledPublishAt', 'scheduledUnpublishAt'] });
+newsSchema.plugin(taggablePlugin);
+newsSchema.plugin(relatablePlugin);
+newsSchema.plugin(translatablePlugin, {
+  ref: 'News',
+  // Copied from the source item when a translation is created
+  sharedFields: ['category', 'tags', 'imageUrl', 'imageMedia', 'author']
+});
+
 module.exports = mongoose.model('News', newsSchema);
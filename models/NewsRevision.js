@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Maximum revisions kept per article; the oldest are pruned first. 0 keeps everything.
+const NEWS_REVISION_LIMIT = parseInt(process.env.NEWS_REVISION_LIMIT, 10);
+const REVISION_LIMIT = Number.isNaN(NEWS_REVISION_LIMIT) ? 50 : NEWS_REVISION_LIMIT;
+
+const newsRevisionSchema = new mongoose.Schema({
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'News',
+    required: true
+  },
+  // Sequential per article, matching News.revision at the time of the save
+  number: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Full copy of the revisioned fields, so any revision can be diffed or restored on its own
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  changedFields: [{
+    type: String
+  }],
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set when the save was made by a machine client
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  restoredFrom: {
+    type: Number
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+newsRevisionSchema.index({ article: 1, number: -1 }, { unique: true });
+
+// Revisions are immutable. They can only be removed by pruning or together with their article.
+const rejectMutation = function(next) {
+  next(new Error('News revisions are immutable'));
+};
+
+newsRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+newsRevisionSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne'
+], rejectMutation);
+
+// Store a revision of a saved article and prune the oldest ones beyond the cap
+newsRevisionSchema.statics.record = async function(article, { changedFields, editor, restoredFrom }) {
+  const revision = await this.create({
+    article: article._id,
+    number: article.revision,
+    snapshot: article.getRevisionSnapshot(),
+    changedFields,
+    author: editor && editor.userId,
+    apiKey: editor && editor.apiKeyId,
+    restoredFrom
+  });
+
+  if (REVISION_LIMIT > 0) {
+    await this.deleteMany({ article: article._id, number: { $lte: article.revision - REVISION_LIMIT } });
+  }
+
+  return revision;
+};
+
+module.exports = mongoose.model('NewsRevision', newsRevisionSchema);
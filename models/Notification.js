@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { ALERT_TYPES } = require('./Alert');
+
+// queued: waiting for (another) delivery attempt; sent: accepted by the push provider;
+// failed: gave up after the last retry; dead: the device token was rejected
+const NOTIFICATION_STATUSES = ['queued', 'sent', 'failed', 'dead'];
+
+// Finished notifications are kept this long for the admin view, then removed
+const NOTIFICATION_RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS, 10) || 30;
+
+// Outbox entry: one push notification to one device, delivered by utils/outbox.js
+const notificationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ALERT_TYPES,
+    required: true
+  },
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true
+  },
+  token: {
+    type: String,
+    required: true
+  },
+  platform: {
+    type: String
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  status: {
+    type: String,
+    enum: NOTIFICATION_STATUSES,
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  },
+  // When the notification reached a final status; drives the retention TTL
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ alert: 1, status: 1 });
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ completedAt: 1 }, { expireAfterSeconds: NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 });
+
+notificationSchema.statics.NOTIFICATION_STATUSES = NOTIFICATION_STATUSES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  refreshTokenHash: {
+    type: String,
+    required: [true, 'Refresh token hash is required'],
+    select: false // Never expose the refresh token hash in queries by default
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'password_change', 'status_change', 'token_reuse', 'admin']
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.refreshTokenHash;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB drop sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && !!this.expiresAt && this.expiresAt > Date.now();
+});
+
+// Instance methods
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Static methods
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
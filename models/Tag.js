@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const { assignSlug } = require('../utils/slug');
+const { escapeRegex } = require('../utils/regex');
+
+const MAX_TAG_LENGTH = 50;
+
+// Collections whose `tags` arrays feed the registry, keyed by the usage field
+const TAGGED_MODELS = {
+  news: 'News',
+  videos: 'Video'
+};
+
+// "  #Cricket  World Cup " -> "cricket world cup"
+const normalizeTag = (value) => {
+  return String(value || '')
+    .normalize('NFC')
+    .trim()
+    .replace(/^#+/, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase()
+    .substring(0, MAX_TAG_LENGTH)
+    .trim();
+};
+
+// Normalized, de-duplicated, empty entries dropped; order is kept
+const normalizeTags = (values) => {
+  const tags = (Array.isArray(values) ? values : [values]).map(normalizeTag).filter(Boolean);
+  return [...new Set(tags)];
+};
+
+const tagSchema = new mongoose.Schema({
+  // Normalized form, as stored in News.tags / Video.tags
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    unique: true,
+    maxlength: [MAX_TAG_LENGTH, `Name cannot exceed ${MAX_TAG_LENGTH} characters`]
+  },
+  // Display form, e.g. "IPL 2025" for "ipl 2025"
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [MAX_TAG_LENGTH, `Label cannot exceed ${MAX_TAG_LENGTH} characters`]
+  },
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    unique: true,
+    sparse: true
+  },
+  // Former slugs that still resolve to this tag after a rename
+  slugHistory: [{
+    type: String
+  }],
+  // Items carrying the tag, trashed items excluded
+  usage: {
+    news: { type: Number, default: 0, min: 0 },
+    videos: { type: Number, default: 0, min: 0 }
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+tagSchema.index({ slugHistory: 1 });
+tagSchema.index({ usageCount: -1, name: 1 });
+
+tagSchema.pre('validate', async function() {
+  this.name = normalizeTag(this.name);
+  if (!this.label) this.label = this.name;
+  await assignSlug(this, this.name);
+});
+
+tagSchema.statics.findBySlug = function(slug) {
+  const value = String(slug).toLowerCase();
+  return this.findOne({ $or: [{ slug: value }, { slugHistory: value }] });
+};
+
+// Store counts for one tag, registering it on first use
+tagSchema.statics.saveUsage = async function(name, usage) {
+  const counts = { news: usage.news || 0, videos: usage.videos || 0 };
+  const usageCount = counts.news + counts.videos;
+
+  const tag = await this.findOne({ name });
+  if (tag) {
+    tag.usage = counts;
+    tag.usageCount = usageCount;
+    return tag.save();
+  }
+  if (!usageCount) return null;
+
+  try {
+    return await this.create({ name, usage: counts, usageCount });
+  } catch (error) {
+    // Registered concurrently by another save; its count is just as fresh
+    if (error.code !== 11000) throw error;
+    return null;
+  }
+};
+
+// Recount the given tags across all tagged collections.
+// Called after content saves and bulk tag operations; cheap because `tags` is indexed.
+tagSchema.statics.refreshUsage = async function(names) {
+  for (const name of normalizeTags(names)) {
+    const usage = {};
+    for (const [key, modelName] of Object.entries(TAGGED_MODELS)) {
+      usage[key] = await mongoose.model(modelName).countDocuments({ tags: name });
+    }
+    await this.saveUsage(name, usage);
+  }
+};
+
+// Rebuild every count from scratch, e.g. after trashing or purging content
+tagSchema.statics.recountAll = async function() {
+  const usage = new Map();
+  for (const [key, modelName] of Object.entries(TAGGED_MODELS)) {
+    const counts = await mongoose.model(modelName).aggregate([
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } }
+    ]);
+    counts.forEach(({ _id, count }) => {
+      if (!usage.has(_id)) usage.set(_id, {});
+      usage.get(_id)[key] = count;
+    });
+  }
+
+  await this.updateMany({ name: { $nin: [...usage.keys()] } }, {
+    $set: { 'usage.news': 0, 'usage.videos': 0, usageCount: 0 }
+  });
+  for (const [name, counts] of usage) {
+    await this.saveUsage(name, counts);
+  }
+  return usage.size;
+};
+
+// Prefix match for autocomplete; most used first
+tagSchema.statics.autocomplete = function(prefix, limit = 10) {
+  return this.find({ name: { $regex: `^${escapeRegex(normalizeTag(prefix))}` }, usageCount: { $gt: 0 } })
+    .sort({ usageCount: -1, name: 1 })
+    .limit(limit)
+    .select('name label slug usageCount');
+};
+
+tagSchema.statics.normalizeTag = normalizeTag;
+tagSchema.statics.normalizeTags = normalizeTags;
+tagSchema.statics.TAGGED_MODELS = TAGGED_MODELS;
+tagSchema.statics.MAX_TAG_LENGTH = MAX_TAG_LENGTH;
+
+module.exports = mongoose.model('Tag', tagSchema);
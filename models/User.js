@@ -1,5 +1,14 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { verifyTotp, decryptSecret, hashRecoveryCode } = require('../utils/mfa');
+const { hashToken } = require('../utils/tokens');
+const { ROLES } = require('../config/permissions');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../config/languages');
+const { PASSWORD_POLICY } = require('../utils/passwordPolicy');
+
+const RESET_PASSWORD_EXPIRE_MINUTES = parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES, 10) || 30;
+const EMAIL_VERIFICATION_EXPIRE_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 10) || 24;
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -27,6 +36,22 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false // Don't include password in queries by default
   },
+  // Previous password hashes, newest first, used to prevent reuse
+  passwordHistory: {
+    type: [{
+      hash: { type: String, required: true },
+      changedAt: { type: Date }
+    }],
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // Forces a password change at the next login (e.g. seeded accounts)
+  passwordChangeRequired: {
+    type: Boolean,
+    default: false
+  },
   phone: {
     type: String,
     trim: true,
@@ -39,7 +64,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin', 'super_admin'],
+    enum: ROLES,
     default: 'user'
   },
   status: {
@@ -60,12 +85,13 @@ const userSchema = new mongoose.Schema({
   preferences: {
     language: {
       type: String,
-      enum: ['en', 'hi', 'regional'],
-      default: 'en'
+      enum: LANGUAGES,
+      default: DEFAULT_LANGUAGE
     },
+    // Names of news categories (see models/Category.js)
     categories: [{
       type: String,
-      enum: ['Politics', 'Technology', 'Sports', 'Entertainment', 'Business', 'Health']
+      trim: true
     }],
     theme: {
       type: String,
@@ -87,6 +113,24 @@ const userSchema = new mongoose.Schema({
         start: { type: String, default: '22:00' },
         end: { type: String, default: '08:00' }
       }
+    },
+    // IANA time zone (e.g. "Asia/Kolkata") in which silent hours are read;
+    // DEFAULT_TIMEZONE applies when unset (see utils/alerts.js)
+    timezone: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: function(v) {
+          if (!v) return true;
+          try {
+            new Intl.DateTimeFormat('en-US', { timeZone: v });
+            return true;
+          } catch (error) {
+            return false;
+          }
+        },
+        message: 'Please provide a valid time zone'
+      }
     }
   },
   bookmarks: {
@@ -122,6 +166,15 @@ const userSchema = new mongoose.Schema({
   resetPasswordExpire: Date,
   emailVerificationToken: String,
   emailVerificationExpire: Date,
+  // Two-factor authentication (TOTP)
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date },
+    secret: { type: String, select: false }, // encrypted
+    pendingSecret: { type: String, select: false }, // encrypted, awaiting confirmation
+    recoveryCodes: { type: [String], select: false }, // hashed
+    lastUsedStep: { type: Number, select: false }
+  },
   // Firebase related fields
   firebaseUid: {
     type: String,
@@ -145,10 +198,17 @@ const userSchema = new mongoose.Schema({
     virtuals: true,
     transform: function(doc, ret) {
       delete ret.password;
+      delete ret.passwordHistory;
       delete ret.resetPasswordToken;
       delete ret.resetPasswordExpire;
       delete ret.emailVerificationToken;
       delete ret.emailVerificationExpire;
+      if (ret.twoFactor) {
+        delete ret.twoFactor.secret;
+        delete ret.twoFactor.pendingSecret;
+        delete ret.twoFactor.recoveryCodes;
+        delete ret.twoFactor.lastUsedStep;
+      }
       return ret;
     }
   },
@@ -174,6 +234,7 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    this.passwordChangedAt = new Date();
     next();
   } catch (error) {
     next(error);
@@ -204,6 +265,30 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Whether the candidate matches the current or one of the recent passwords.
+// Requires password and passwordHistory to be selected.
+userSchema.methods.isPasswordReused = async function(candidatePassword) {
+  const hashes = [this.password, ...(this.passwordHistory || []).map(entry => entry.hash)]
+    .filter(Boolean)
+    .slice(0, PASSWORD_POLICY.historyCount);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(candidatePassword, hash)) return true;
+  }
+  return false;
+};
+
+// Replace the password, keeping the old hash in the history.
+// Requires password and passwordHistory to be selected; the caller must save the user.
+userSchema.methods.changePassword = function(newPassword) {
+  if (this.password) {
+    this.passwordHistory.unshift({ hash: this.password, changedAt: this.passwordChangedAt || this.createdAt });
+    this.passwordHistory = this.passwordHistory.slice(0, Math.max(PASSWORD_POLICY.historyCount - 1, 0));
+  }
+  this.password = newPassword;
+  this.passwordChangeRequired = false;
+};
+
 userSchema.methods.incLoginAttempts = function() {
   const maxAttempts = 5;
   const lockTime = 2 * 60 * 60 * 1000; // 2 hours
@@ -233,6 +318,53 @@ userSchema.methods.resetLoginAttempts = function() {
   });
 };
 
+// Verify a TOTP code or a one-time recovery code.
+// Requires the twoFactor secret, recoveryCodes and lastUsedStep to be selected.
+// Returns 'totp', 'recovery' or null; the caller must save the user afterwards.
+userSchema.methods.verifySecondFactor = function({ code, recoveryCode }) {
+  if (!this.twoFactor || !this.twoFactor.enabled || !this.twoFactor.secret) return null;
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(this.twoFactor.secret), code, this.twoFactor.lastUsedStep);
+    if (step === null) return null;
+    this.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const index = (this.twoFactor.recoveryCodes || []).indexOf(hash);
+    if (index === -1) return null;
+    this.twoFactor.recoveryCodes.splice(index, 1);
+    return 'recovery';
+  }
+
+  return null;
+};
+
+// Generate a password reset token. Only its hash is stored; the raw token is
+// returned so it can be mailed. The caller must save the user afterwards.
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.resetPasswordToken = hashToken(token);
+  this.resetPasswordExpire = new Date(Date.now() + RESET_PASSWORD_EXPIRE_MINUTES * 60 * 1000);
+  return token;
+};
+
+// Generate an email verification token (hash stored, raw token returned for mailing)
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpire = new Date(Date.now() + EMAIL_VERIFICATION_EXPIRE_HOURS * 60 * 60 * 1000);
+  return token;
+};
+
+userSchema.methods.markEmailVerified = function() {
+  this.emailVerified = true;
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpire = undefined;
+};
+
 userSchema.methods.addBookmark = function(type, itemId) {
   if (!['news', 'videos'].includes(type)) {
     throw new Error('Invalid bookmark type');
@@ -267,6 +399,20 @@ userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
+userSchema.statics.findByResetToken = function(token) {
+  return this.findOne({
+    resetPasswordToken: hashToken(token),
+    resetPasswordExpire: { $gt: new Date() }
+  });
+};
+
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpire: { $gt: new Date() }
+  });
+};
+
 userSchema.statics.findActiveAdmins = function() {
   return this.find({ 
     role: { $in: ['admin', 'super_admin'] },
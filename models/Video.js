@@ -1,4 +1,12 @@
 const mongoose = require('mongoose');
+const softDeletePlugin = require('./plugins/softDelete');
+const taggablePlugin = require('./plugins/taggable');
+const translatablePlugin = require('./plugins/translatable');
+const relatablePlugin = require('./plugins/relatable');
+const Media = require('./Media');
+const { STATUSES, UNPUBLISHED_STATUSES } = require('../config/workflow');
+const { TEXT_SEARCH_LANGUAGES } = require('../config/languages');
+const { MAX_SLUG_LENGTH, assignSlug } = require('../utils/slug');
 
 const videoSchema = new mongoose.Schema({
   title: {
@@ -7,6 +15,51 @@ const videoSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Title cannot exceed 200 characters']
   },
+  // Generated from the title on creation; editable afterwards
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    unique: true,
+    sparse: true,
+    maxlength: [MAX_SLUG_LENGTH, `Slug cannot exceed ${MAX_SLUG_LENGTH} characters`]
+  },
+  // Former slugs that still resolve to this item
+  slugHistory: [{
+    type: String
+  }],
+  seo: {
+    metaTitle: {
+      type: String,
+      trim: true,
+      maxlength: [70, 'Meta title cannot exceed 70 characters']
+    },
+    metaDescription: {
+      type: String,
+      trim: true,
+      maxlength: [160, 'Meta description cannot exceed 160 characters']
+    },
+    canonicalUrl: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: function(v) {
+          return !v || /^https?:\/\/.+/.test(v);
+        },
+        message: 'Canonical URL must be a valid HTTP/HTTPS URL'
+      }
+    },
+    ogImage: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: function(v) {
+          return !v || /^https?:\/\/.+/.test(v);
+        },
+        message: 'Open Graph image must be a valid HTTP/HTTPS URL'
+      }
+    }
+  },
   description: {
     type: String,
     trim: true,
@@ -27,7 +80,6 @@ const videoSchema = new mongoose.Schema({
     type: String,
     required: [true, 'YouTube ID is required'],
     trim: true,
-    unique: true,
     validate: {
       validator: function(v) {
         return /^[\w-]{11}$/.test(v);
@@ -45,10 +97,15 @@ const videoSchema = new mongoose.Schema({
       message: 'Thumbnail URL must be a valid HTTP/HTTPS URL'
     }
   },
+  // Media library image used instead of the YouTube thumbnail, if any
+  thumbnailMedia: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media'
+  },
+  // Name of a videos Category (validated against the categories collection by the routes)
   category: {
     type: String,
     required: [true, 'Category is required'],
-    enum: ['News', 'Analysis', 'Interview', 'Documentary', 'Live', 'Entertainment'],
     trim: true
   },
   duration: {
@@ -63,9 +120,43 @@ const videoSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['published', 'draft'],
+    enum: STATUSES,
     default: 'draft'
   },
+  // Editorial workflow (see config/workflow.js)
+  assignedReviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: {
+    type: Date
+  },
+  archivedAt: {
+    type: Date
+  },
+  // Timed status changes applied by utils/scheduler.js
+  scheduledPublishAt: {
+    type: Date
+  },
+  scheduledUnpublishAt: {
+    type: Date
+  },
+  scheduledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  workflowHistory: [{
+    from: { type: String, enum: STATUSES },
+    to: { type: String, enum: STATUSES, required: true },
+    action: { type: String, required: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    comment: { type: String, trim: true, maxlength: 2000 },
+    at: { type: Date, default: Date.now }
+  }],
   views: {
     type: Number,
     default: 0,
@@ -81,6 +172,7 @@ const videoSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Normalized on save and registered in the Tag collection (see models/plugins/taggable.js)
   tags: [{
     type: String,
     trim: true
@@ -107,16 +199,29 @@ const videoSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
+  // Every save bumps __v and fails if the copy was loaded before another save (see utils/concurrency.js)
+  optimisticConcurrency: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
 
 // Indexes for better query performance
-// Note: 'unique: true' for youtubeId already creates an index.
+// A YouTube video is added once per language: the source item and its translations
+videoSchema.index({ youtubeId: 1, language: 1 }, { unique: true });
 videoSchema.index({ status: 1, createdAt: -1 });
+videoSchema.index({ slugHistory: 1 });
+videoSchema.index({ assignedReviewer: 1, status: 1 });
+videoSchema.index({ scheduledPublishAt: 1 }, { sparse: true });
+videoSchema.index({ scheduledUnpublishAt: 1 }, { sparse: true });
 videoSchema.index({ category: 1, status: 1 });
 videoSchema.index({ featured: 1, status: 1 });
-videoSchema.index({ title: 'text', description: 'text' });
+videoSchema.index({ thumbnailMedia: 1 }, { sparse: true });
+// Stemming follows each item's language (see config/languages.js)
+videoSchema.index({ title: 'text', description: 'text' }, {
+  name: 'video_text',
+  default_language: 'english',
+  language_override: 'textLanguage'
+});
 
 // Virtual for embed URL
 videoSchema.virtual('embedUrl').get(function() {
@@ -128,6 +233,23 @@ videoSchema.virtual('defaultThumbnail').get(function() {
   return this.thumbnailUrl || `https://img.youtube.com/vi/${this.youtubeId}/maxresdefault.jpg`;
 });
 
+// SEO metadata with defaults filled in from the content
+videoSchema.virtual('seoMeta').get(function() {
+  const seo = this.seo || {};
+  return {
+    metaTitle: seo.metaTitle || this.title,
+    metaDescription: seo.metaDescription || this.description,
+    canonicalUrl: seo.canonicalUrl,
+    ogImage: seo.ogImage || this.defaultThumbnail
+  };
+});
+
+// Keep a unique slug, remembering replaced ones, and the thumbnail in step with its media
+videoSchema.pre('validate', async function() {
+  await assignSlug(this, this.title);
+  await Media.syncContentImage(this, 'thumbnailMedia', 'thumbnailUrl');
+});
+
 // Pre-save middleware
 videoSchema.pre('save', function(next) {
   // Extract YouTube ID from URL if not provided
@@ -156,15 +278,45 @@ videoSchema.pre('save', function(next) {
     this.publishedAt = new Date();
   }
   
-  // Remove publishedAt if status changes to draft
-  if (this.isModified('status') && this.status === 'draft') {
+  // Remove publishedAt if status moves back before publication
+  if (this.isModified('status') && UNPUBLISHED_STATUSES.includes(this.status)) {
     this.publishedAt = undefined;
   }
+
+  // Track when content was archived; publishedAt is kept for the record
+  if (this.isModified('status')) {
+    this.archivedAt = this.status === 'archived' ? new Date() : undefined;
+  }
+
+  // A manual publish or archive supersedes the matching schedule
+  if (this.isModified('status') && this.status === 'published') {
+    this.scheduledPublishAt = undefined;
+  }
+  if (this.isModified('status') && this.status === 'archived') {
+    this.scheduledUnpublishAt = undefined;
+  }
   
   next();
 });
 
 // Static methods
+videoSchema.statics.findBySlug = function(slug) {
+  const value = String(slug).toLowerCase();
+  return this.findOne({ $or: [{ slug: value }, { slugHistory: value }] });
+};
+
+// Give slugs to items created before slugs existed
+videoSchema.statics.backfillSlugs = async function() {
+  const items = await this.find({ $or: [{ slug: null }, { slug: '' }] })
+    .select('title slug slugHistory')
+    .setOptions({ withDeleted: true });
+  for (const item of items) {
+    await assignSlug(item, item.title);
+    await this.updateOne({ _id: item._id }, { $set: { slug: item.slug } });
+  }
+  return items.length;
+};
+
 videoSchema.statics.getPublished = function() {
   return this.find({ status: 'published' }).sort({ createdAt: -1 });
 };
@@ -177,11 +329,15 @@ videoSchema.statics.getByCategory = function(category) {
   return this.find({ status: 'published', category }).sort({ createdAt: -1 });
 };
 
-videoSchema.statics.searchVideos = function(query) {
-  return this.find({
-    status: 'published',
-    $text: { $search: query }
-  }).sort({ score: { $meta: 'textScore' } });
+// Full-text search; with a language, only items in that language, stemmed accordingly
+videoSchema.statics.searchVideos = function(query, language) {
+  const text = { $search: query };
+  const filter = { status: 'published' };
+  if (language) {
+    text.$language = TEXT_SEARCH_LANGUAGES[language];
+    filter.language = language;
+  }
+  return this.find({ ...filter, $text: text }).sort({ score: { $meta: 'textScore' } });
 };
 
 videoSchema.statics.getTrending = function(limit = 10) {
@@ -213,4 +369,13 @@ videoSchema.methods.syncWithYouTube = async function() {
   return this.save();
 };
 
+videoSchema.plugin(softDeletePlugin, { clearOnDelete: ['scheduledPublishAt', 'scheduledUnpublishAt'] });
+videoSchema.plugin(taggablePlugin);
+videoSchema.plugin(relatablePlugin);
+videoSchema.plugin(translatablePlugin, {
+  ref: 'Video',
+  // Copied from the source item when a translation is created
+  sharedFields: ['youtubeUrl', 'youtubeId', 'thumbnailUrl', 'thumbnailMedia', 'category', 'duration', 'tags']
+});
+
 module.exports = mongoose.model('Video', videoSchema);
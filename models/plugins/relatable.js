@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { unlinkRelated, relinkRelated } = require('../../utils/related');
+
+// Ordered related content links (news and videos) kept on both linked items; see
+// utils/related.js. While an item is trashed or unpublished, links to it are taken
+// off the other items; its own list is kept and the links return when it is back.
+const touchesTrash = (update = {}) => {
+  const set = update.$set || {};
+  return 'deletedAt' in set && set.deletedAt !== null;
+};
+
+const touchesRestore = (update = {}) => {
+  const set = update.$set || {};
+  return 'deletedAt' in set && set.deletedAt === null;
+};
+
+const unlink = async (modelName, ids) => {
+  try {
+    await unlinkRelated(modelName, ids);
+  } catch (error) {
+    // The trash or status change already succeeded; stale links are only shown, never followed
+    console.error('Related content cleanup failed:', error.message);
+  }
+};
+
+const relink = async (doc) => {
+  try {
+    await relinkRelated(doc);
+  } catch (error) {
+    // The item is back either way; only the links on the other items are missing
+    console.error('Related content relinking failed:', error.message);
+  }
+};
+
+const relatablePlugin = (schema) => {
+  schema.add({
+    related: [{
+      _id: false,
+      model: {
+        type: String,
+        enum: ['News', 'Video'],
+        required: true
+      },
+      item: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'related.model',
+        required: true
+      }
+    }]
+  });
+
+  schema.index({ 'related.item': 1 });
+
+  schema.post('init', function() {
+    this.$locals.savedStatus = this.status;
+  });
+
+  schema.pre('save', function() {
+    if (this.isNew || !this.isModified('status')) return;
+    const wasPublished = this.$locals.savedStatus === 'published';
+    const isPublished = this.status === 'published';
+    if (wasPublished !== isPublished) {
+      this.$locals.relatedChange = isPublished ? 'relink' : 'unlink';
+    }
+  });
+
+  schema.post('save', async function(doc) {
+    doc.$locals.savedStatus = doc.status;
+    const change = doc.$locals.relatedChange;
+    if (!change) return;
+    delete doc.$locals.relatedChange;
+    if (change === 'unlink') {
+      await unlink(doc.constructor.modelName, [doc._id]);
+    } else {
+      await relink(doc);
+    }
+  });
+
+  // softDeleteById and restoreById
+  schema.post('findOneAndUpdate', async function(doc) {
+    if (!doc) return;
+    if (touchesTrash(this.getUpdate())) {
+      await unlink(this.model.modelName, [doc._id]);
+    } else if (touchesRestore(this.getUpdate()) && doc.status === 'published') {
+      await relink(doc);
+    }
+  });
+
+  // softDeleteMany: the affected items have to be read before the update
+  schema.pre('updateMany', async function() {
+    if (!touchesTrash(this.getUpdate())) return;
+    this._trashedIds = await this.model.distinct('_id', this.getFilter());
+  });
+
+  schema.post('updateMany', async function() {
+    if (this._trashedIds) {
+      await unlink(this.model.modelName, this._trashedIds);
+    }
+  });
+};
+
+module.exports = relatablePlugin;
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Soft deletion for content collections. Deleted documents keep deletedAt/deletedBy
+// and are left out of every find, count and aggregate unless the query filters on
+// deletedAt itself or sets the `withDeleted` option.
+const READ_OPERATIONS = ['find', 'findOne', 'countDocuments', 'distinct'];
+
+// options.clearOnDelete lists fields to unset when a document is trashed
+// (e.g. pending schedules that must not fire from the trash).
+const softDeletePlugin = (schema, options = {}) => {
+  const clearOnDelete = options.clearOnDelete || [];
+  const unsetOnDelete = clearOnDelete.length
+    ? { $unset: Object.fromEntries(clearOnDelete.map(field => [field, 1])) }
+    : {};
+
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(READ_OPERATIONS, function() {
+    if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) return;
+    const pipeline = this.pipeline();
+    // $geoNear and $text matches have to stay the first stage
+    const first = pipeline[0] || {};
+    const index = first.$geoNear || (first.$match && first.$match.$text) ? 1 : 0;
+    pipeline.splice(index, 0, { $match: { deletedAt: null } });
+  });
+
+  schema.virtual('isDeleted').get(function() {
+    return !!this.deletedAt;
+  });
+
+  // Updates go straight to the collection so old documents that no longer pass
+  // validation can still be trashed and restored
+  schema.statics.softDeleteById = function(id, userId) {
+    return this.findOneAndUpdate(
+      { _id: id, deletedAt: null },
+      { $set: { deletedAt: new Date(), deletedBy: userId }, ...unsetOnDelete },
+      { new: true }
+    );
+  };
+
+  schema.statics.softDeleteMany = function(filter, userId) {
+    return this.updateMany(
+      { ...filter, deletedAt: null },
+      { $set: { deletedAt: new Date(), deletedBy: userId }, ...unsetOnDelete }
+    );
+  };
+
+  schema.statics.restoreById = function(id) {
+    return this.findOneAndUpdate(
+      { _id: id, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null }, $unset: { deletedBy: 1 } },
+      { new: true }
+    );
+  };
+
+  schema.statics.findDeleted = function(filter = {}) {
+    return this.find({ ...filter, deletedAt: { $ne: null } });
+  };
+
+  schema.statics.findDeletedById = function(id) {
+    return this.findOne({ _id: id, deletedAt: { $ne: null } });
+  };
+};
+
+module.exports = softDeletePlugin;
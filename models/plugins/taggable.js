@@ -0,0 +1,71 @@
+const Tag = require('../Tag');
+
+// Keeps `tags` normalized and the Tag registry's usage counts current.
+// Counts are refreshed for the tags a save added or removed, and for the tags of
+// items moved to or out of the trash. Bulk writes that bypass these hooks
+// (see utils/tags.js) refresh the counts themselves.
+const touchesTrash = (update = {}) => {
+  return 'deletedAt' in (update.$set || {}) || 'deletedAt' in update;
+};
+
+const refreshUsage = async (names) => {
+  if (!names.length) return;
+  try {
+    await Tag.refreshUsage(names);
+  } catch (error) {
+    // The content change already succeeded; Tag.recountAll() repairs the counts
+    console.error('Tag usage refresh failed:', error.message);
+  }
+};
+
+const taggablePlugin = (schema) => {
+  schema.index({ tags: 1 });
+
+  schema.post('init', function() {
+    this.$locals.savedTags = [...(this.tags || [])];
+  });
+
+  schema.pre('validate', function() {
+    if (this.isNew || this.isModified('tags')) {
+      this.tags = Tag.normalizeTags(this.tags || []);
+    }
+  });
+
+  schema.pre('save', function() {
+    if (!this.isNew && !this.isModified('tags')) return;
+    const before = this.$locals.savedTags || [];
+    const after = this.tags || [];
+    this.$locals.tagChanges = [
+      ...after.filter(tag => !before.includes(tag)),
+      ...before.filter(tag => !after.includes(tag))
+    ];
+  });
+
+  schema.post('save', async function(doc) {
+    const changed = doc.$locals.tagChanges || [];
+    delete doc.$locals.tagChanges;
+    doc.$locals.savedTags = [...(doc.tags || [])];
+    await refreshUsage(changed);
+  });
+
+  // softDeleteById / restoreById
+  schema.post('findOneAndUpdate', async function(doc) {
+    if (doc && touchesTrash(this.getUpdate())) {
+      await refreshUsage(doc.tags || []);
+    }
+  });
+
+  // softDeleteMany: the affected tags have to be read before the update
+  schema.pre('updateMany', async function() {
+    if (!touchesTrash(this.getUpdate())) return;
+    this._trashedTags = await this.model.distinct('tags', this.getFilter()).setOptions({ withDeleted: true });
+  });
+
+  schema.post('updateMany', async function() {
+    if (this._trashedTags) {
+      await refreshUsage(this._trashedTags);
+    }
+  });
+};
+
+module.exports = taggablePlugin;
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const { LANGUAGES, DEFAULT_LANGUAGE, TEXT_SEARCH_LANGUAGES } = require('../../config/languages');
+
+// Translation variants for content collections. A translation is a full document of
+// the same collection with its own language, status and slug, linked to its source
+// item through `translationOf` (sources have none). options.sharedFields are copied
+// from the source when a translation is created (see utils/translations.js).
+const translatablePlugin = (schema, options = {}) => {
+  schema.add({
+    language: {
+      type: String,
+      enum: LANGUAGES,
+      default: DEFAULT_LANGUAGE
+    },
+    translationOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: options.ref,
+      default: null
+    },
+    // Read by the text index (language_override) to pick stemming per document
+    textLanguage: {
+      type: String,
+      select: false
+    }
+  });
+
+  // One translation per language and source
+  schema.index(
+    { translationOf: 1, language: 1 },
+    { unique: true, partialFilterExpression: { translationOf: { $type: 'objectId' } } }
+  );
+
+  schema.pre('validate', function() {
+    this.textLanguage = TEXT_SEARCH_LANGUAGES[this.language] || 'none';
+  });
+
+  schema.virtual('isTranslation').get(function() {
+    return !!this.translationOf;
+  });
+
+  schema.statics.SHARED_FIELDS = options.sharedFields || [];
+
+  // Source item of a document: itself, or the item it translates
+  schema.statics.findSource = async function(id) {
+    const doc = await this.findById(id);
+    if (!doc || !doc.translationOf) return doc;
+    return this.findById(doc.translationOf);
+  };
+
+  // Replace each source item (lean objects) by its translation into `language` when one
+  // exists and matches `filter` (e.g. { status: 'published' }); other items are kept in
+  // their own language. Every item gets `localization: { language, fallback, sourceId }`.
+  schema.statics.localize = async function(items, language, filter = {}) {
+    const sourceIds = items
+      .filter(item => !item.translationOf && item.language !== language)
+      .map(item => item._id);
+
+    const translations = sourceIds.length
+      ? await this.find({ ...filter, translationOf: { $in: sourceIds }, language }).populate('createdBy', 'name email').lean()
+      : [];
+    const bySource = new Map(translations.map(item => [String(item.translationOf), item]));
+
+    return items.map(item => {
+      const localized = bySource.get(String(item._id)) || item;
+      return {
+        ...localized,
+        localization: {
+          language: localized.language,
+          fallback: localized.language !== language,
+          sourceId: localized.translationOf || localized._id
+        }
+      };
+    });
+  };
+
+  // Source items with no translation into `language` yet, oldest first
+  schema.statics.findMissingTranslations = async function(language, { filter = {}, page = 1, limit = 20, select } = {}) {
+    const [result] = await this.aggregate([
+      { $match: { ...filter, translationOf: null, language: { $ne: language } } },
+      {
+        $lookup: {
+          from: this.collection.name,
+          let: { sourceId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$translationOf', '$$sourceId'] }, language, deletedAt: null } },
+            { $project: { _id: 1 } }
+          ],
+          as: 'translations'
+        }
+      },
+      { $match: { translations: { $size: 0 } } },
+      { $sort: { createdAt: 1 } },
+      {
+        $facet: {
+          items: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            ...(select ? [{ $project: select }] : [])
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    return { items: result.items, total: result.total.length ? result.total[0].count : 0 };
+  };
+};
+
+module.exports = translatablePlugin;
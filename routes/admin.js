@@ -1,19 +1,25 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, query, validationResult } = require('express-validator');
 const News = require('../models/News');
 const Video = require('../models/Video');
 const User = require('../models/User');
-const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { authMiddleware, superAdminMiddleware, staffMiddleware, requirePermission } = require('../middleware/auth');
+const { ROLES, ROLE_PERMISSIONS, PRIVILEGED_ROLES, canManageRole } = require('../config/permissions');
+const { sendVerificationEmail } = require('../utils/emails');
+const { audit } = require('../middleware/audit');
 const router = express.Router();
 
-// Apply auth and admin middleware to all admin routes
+// Apply auth and staff middleware to all admin routes;
+// individual routes check their own permissions
 router.use(authMiddleware);
-router.use(adminMiddleware);
+router.use(staffMiddleware);
 
 // @route   GET /api/admin/dashboard
 // @desc    Get dashboard statistics
-// @access  Private (Admin only)
-router.get('/dashboard', async (req, res, next) => {
+// @access  Private (analytics:read)
+router.get('/dashboard', requirePermission('analytics:read'), async (req, res, next) => {
   try {
     const [
       totalNews,
@@ -56,15 +62,15 @@ router.get('/dashboard', async (req, res, next) => {
 const validateUserQuery = [
     query('page').optional().isInt({ min: 1 }).toInt(),
     query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
-    query('role').optional().isIn(['user', 'admin', 'super_admin']),
+    query('role').optional().isIn(ROLES),
     query('status').optional().isIn(['active', 'inactive', 'suspended']),
     query('search').optional().trim().escape()
 ];
 
 // @route   GET /api/admin/analytics
 // @desc    Get detailed analytics
-// @access  Private (Admin only)
-router.get('/analytics', [
+// @access  Private (analytics:read)
+router.get('/analytics', requirePermission('analytics:read'), [
   query('period').optional().isIn(['7', '30', '90', '365']).withMessage('Invalid period'),
   query('type').optional().isIn(['news', 'videos', 'users']).withMessage('Invalid type')
 ], async (req, res) => {
@@ -259,8 +265,8 @@ router.get('/analytics', [
 
 // @route   GET /api/admin/users
 // @desc    Get all users with pagination
-// @access  Private (Admin only)
-router.get('/users', validateUserQuery, async (req, res, next) => {
+// @access  Private (users:read)
+router.get('/users', requirePermission('users:read'), validateUserQuery, async (req, res, next) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -312,8 +318,8 @@ const validateStatusUpdate = [
 
 // @route   PUT /api/admin/users/:id/status
 // @desc    Update user status
-// @access  Private (Admin only)
-router.put('/users/:id/status', validateStatusUpdate, async (req, res, next) => {
+// @access  Private (users:manage)
+router.put('/users/:id/status', requirePermission('users:manage'), audit('user.status', 'User'), validateStatusUpdate, async (req, res, next) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -323,11 +329,28 @@ router.put('/users/:id/status', validateStatusUpdate, async (req, res, next) =>
       const { id } = req.params;
       const { status } = req.body;
   
-      const user = await User.findByIdAndUpdate(id, { status }, { new: true, runValidators: true }).select('-password');
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ success: false, message: 'Invalid user ID' });
+      }
+
+      const user = await User.findById(id).select('-password');
   
       if (!user) {
         return res.status(404).json({ success: false, message: 'User not found' });
       }
+
+      if (!canManageRole(req.user.role, user.role)) {
+        return res.status(403).json({ success: false, message: 'Only a super admin can manage admin accounts.' });
+      }
+
+      res.locals.audit = { before: { status: user.status }, after: { status } };
+      user.status = status;
+      await user.save();
+
+      // Suspended or deactivated users lose every open session immediately
+      if (status !== 'active') {
+        await Session.revokeAllForUser(user._id, 'status_change');
+      }
   
       res.json({ success: true, message: 'User status updated successfully', data: { user } });
   
@@ -336,10 +359,149 @@ router.put('/users/:id/status', validateStatusUpdate, async (req, res, next) =>
     }
   });
 
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Private (users:manage; admin roles are super admin only)
+router.put('/users/:id/role', requirePermission('users:manage'), audit('user.role', 'User'), [
+    body('role').isIn(ROLES).withMessage('Invalid role specified')
+], async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const { role } = req.body;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ success: false, message: 'Invalid user ID' });
+      }
+
+      if (String(id) === String(req.user.userId)) {
+        return res.status(400).json({ success: false, message: 'You cannot change your own role' });
+      }
+
+      const user = await User.findById(id).select('-password');
+
+      if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+
+      if (!canManageRole(req.user.role, user.role) || !canManageRole(req.user.role, role)) {
+        return res.status(403).json({ success: false, message: `Only a super admin can grant or revoke the ${PRIVILEGED_ROLES.join('/')} roles.` });
+      }
+
+      res.locals.audit = { before: { role: user.role }, after: { role } };
+      user.role = role;
+      await user.save();
+
+      res.json({ success: true, message: 'User role updated successfully', data: { user } });
+
+    } catch (error) {
+        next(error)
+    }
+  });
+
+// @route   GET /api/admin/permissions
+// @desc    Get the role/permission matrix
+// @access  Private (Staff)
+router.get('/permissions', (req, res) => {
+  res.json({
+    success: true,
+    data: { roles: ROLES, matrix: ROLE_PERMISSIONS }
+  });
+});
+
+// @route   POST /api/admin/users/:id/email-verification
+// @desc    Force-verify a user's email or re-send their verification link
+// @access  Private (users:manage)
+router.post('/users/:id/email-verification', requirePermission('users:manage'), audit('user.email_verification', 'User'), [
+    body('action').isIn(['force', 'resend']).withMessage('Action must be either force or resend')
+], async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const { action } = req.body;
+      res.locals.audit = { metadata: { action } };
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ success: false, message: 'Invalid user ID' });
+      }
+
+      if (action === 'force' && String(id) === String(req.user.userId)) {
+        return res.status(400).json({ success: false, message: 'You cannot force-verify your own email address' });
+      }
+
+      const user = await User.findById(id);
+
+      if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+
+      if (!canManageRole(req.user.role, user.role)) {
+        return res.status(403).json({ success: false, message: 'Only a super admin can manage admin accounts.' });
+      }
+
+      if (user.emailVerified) {
+        return res.status(400).json({ success: false, message: 'Email address is already verified' });
+      }
+
+      if (action === 'force') {
+        user.markEmailVerified();
+        await user.save();
+        return res.json({ success: true, message: 'Email marked as verified', data: { user } });
+      }
+
+      const verificationToken = user.createEmailVerificationToken();
+      await user.save();
+      await sendVerificationEmail(user, verificationToken);
+
+      res.json({ success: true, message: `Verification email sent to ${user.email}`, data: { user } });
+
+    } catch (error) {
+        next(error)
+    }
+  });
+
+// @route   DELETE /api/admin/users/:id/mfa
+// @desc    Reset a user's second factor so they must enroll again
+// @access  Private (Super admin only)
+router.delete('/users/:id/mfa', superAdminMiddleware, audit('user.mfa_reset', 'User'), async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ success: false, message: 'Invalid user ID' });
+      }
+
+      const user = await User.findById(id);
+
+      if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+
+      user.set('twoFactor', { enabled: false });
+      await user.save();
+
+      // Sessions opened with the old factor must not outlive the reset
+      await Session.revokeAllForUser(user._id, 'admin');
+
+      res.json({ success: true, message: 'Two-factor authentication reset successfully', data: { userId: user._id } });
+
+    } catch (error) {
+        next(error)
+    }
+  });
+
 // @route   GET /api/admin/content-stats
 // @desc    Get content statistics
-// @access  Private (Admin only)
-router.get('/content-stats', async (req, res) => {
+// @access  Private (analytics:read)
+router.get('/content-stats', requirePermission('analytics:read'), async (req, res) => {
   try {
     const { period = '30' } = req.query;
     const days = parseInt(period);
@@ -414,7 +576,7 @@ router.get('/content-stats', async (req, res) => {
 
 // @route   GET /api/admin/profile
 // @desc    Get logged-in admin details
-// @access  Private (Admin only)
+// @access  Private (Staff)
 router.get('/profile', async (req, res, next) => {
   try {
     // authMiddleware se req.user._id milta hai
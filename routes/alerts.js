@@ -0,0 +1,97 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const Alert = require('../models/Alert');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { BREAKING_ALERTS_PER_HOUR } = require('../utils/alerts');
+const router = express.Router();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Apply authentication and alert permission to all routes
+router.use(authMiddleware);
+router.use(requirePermission('alerts:read'));
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+  }
+  next();
+};
+
+// @route   GET /api/admin/alerts
+// @desc    List push alerts with their delivery stats, newest first, plus the hourly cap usage
+// @access  Private (alerts:read)
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('type').optional().isIn(Alert.ALERT_TYPES).withMessage(`Type must be one of: ${Alert.ALERT_TYPES.join(', ')}`),
+  query('status').optional().isIn(Alert.ALERT_STATUSES).withMessage(`Status must be one of: ${Alert.ALERT_STATUSES.join(', ')}`),
+  query('news').optional().isMongoId().withMessage('Invalid news ID')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, type, status, news } = req.query;
+    const filter = {};
+    if (type) filter.type = type;
+    if (status) filter.status = status;
+    if (news) filter.news = news;
+
+    const skip = (page - 1) * limit;
+    const [alerts, total, sentLastHour] = await Promise.all([
+      Alert.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('news', 'title slug')
+        .populate('triggeredBy', 'name email')
+        .lean(),
+      Alert.countDocuments(filter),
+      Alert.countSentSince('breaking', new Date(Date.now() - HOUR_MS))
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        alerts,
+        breakingRateLimit: {
+          perHour: BREAKING_ALERTS_PER_HOUR,
+          sentLastHour
+        },
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalAlerts: total
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/alerts/:id
+// @desc    Get one alert with its delivery stats
+// @access  Private (alerts:read)
+router.get('/:id', async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid alert ID' });
+    }
+
+    const alert = await Alert.findById(req.params.id)
+      .populate('news', 'title slug status category publishedAt')
+      .populate('triggeredBy', 'name email')
+      .lean();
+
+    if (!alert) {
+      return res.status(404).json({ success: false, message: 'Alert not found' });
+    }
+
+    res.json({ success: true, data: { alert } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
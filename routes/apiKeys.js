@@ -0,0 +1,117 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const { authMiddleware, superAdminMiddleware } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { API_KEY_SCOPES } = require('../config/permissions');
+const { generateApiKey } = require('../utils/tokens');
+const router = express.Router();
+
+// Only super admins manage API keys
+router.use(authMiddleware);
+router.use(superAdminMiddleware);
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+  }
+  next();
+};
+
+// @route   POST /api/admin/api-keys
+// @desc    Create an API key; the key itself is only returned in this response
+// @access  Private (Super admin only)
+router.post('/', audit('api_key.create', 'ApiKey'), [
+  body('name').trim().isLength({ min: 3, max: 100 }).withMessage('Name must be between 3 and 100 characters'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(Object.keys(API_KEY_SCOPES)).withMessage('Invalid scope'),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('expiresAt must be an ISO 8601 date'),
+  body('rateLimitPerMinute').optional().isInt({ min: 1, max: 10000 }).toInt()
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { name, scopes, expiresAt, rateLimitPerMinute } = req.body;
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return res.status(400).json({ success: false, message: 'Expiry date must be in the future' });
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+
+    const apiKey = new ApiKey({
+      name,
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresAt || undefined,
+      rateLimitPerMinute,
+      createdBy: req.user.userId
+    });
+    await apiKey.save();
+    res.locals.audit = { targetId: apiKey._id, metadata: { name, scopes: apiKey.scopes } };
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now - it will not be shown again.',
+      data: { apiKey, key }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/api-keys
+// @desc    List API keys (without secrets)
+// @access  Private (Super admin only)
+router.get('/', async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.find()
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name email')
+      .populate('revokedBy', 'name email');
+
+    res.json({
+      success: true,
+      data: { apiKeys, availableScopes: Object.keys(API_KEY_SCOPES) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/admin/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private (Super admin only)
+router.delete('/:id', audit('api_key.revoke', 'ApiKey'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid API key ID' });
+    }
+
+    const apiKey = await ApiKey.findById(id);
+    if (!apiKey) {
+      return res.status(404).json({ success: false, message: 'API key not found' });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({ success: false, message: 'API key is already revoked' });
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user.userId;
+    await apiKey.save();
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: { apiKey }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,143 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { escapeRegex } = require('../utils/regex');
+const router = express.Router();
+
+const AUDIT_EXPORT_MAX_ROWS = parseInt(process.env.AUDIT_EXPORT_MAX_ROWS, 10) || 50000;
+
+// Apply authentication and audit permission to all routes
+router.use(authMiddleware);
+router.use(requirePermission('audit:read'));
+
+const validateAuditQuery = [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('targetId').optional().isMongoId().withMessage('Invalid target ID'),
+  query('targetType').optional().trim(),
+  query('action').optional().trim(),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date')
+];
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+  }
+  next();
+};
+
+// Build the Mongo filter shared by the listing and the CSV export.
+// `action` matches exactly, or by prefix when it ends with "." (e.g. "news.").
+const buildAuditFilter = ({ actor, action, targetType, targetId, from, to }) => {
+  const filter = {};
+
+  if (actor) filter.actor = new mongoose.Types.ObjectId(actor);
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = new mongoose.Types.ObjectId(targetId);
+
+  if (action) {
+    filter.action = action.endsWith('.')
+      ? { $regex: `^${escapeRegex(action)}` }
+      : action;
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  return filter;
+};
+
+// Cells starting with one of these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsv = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = typeof value === 'object' && !(value instanceof mongoose.Types.ObjectId)
+    ? JSON.stringify(value)
+    : String(value);
+  // Values like user agents and emails come from unauthenticated requests
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = ['createdAt', 'actor', 'actorEmail', 'actorRole', 'apiKey', 'action', 'targetType', 'targetId', 'ip', 'userAgent', 'changes', 'metadata'];
+
+// @route   GET /api/admin/audit
+// @desc    List audit log entries with filters and pagination
+// @access  Private (audit:read)
+router.get('/', validateAuditQuery, handleValidationErrors, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const filter = buildAuditFilter(req.query);
+    const skip = (page - 1) * limit;
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('actor', 'name email')
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalEntries: total
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/audit/export
+// @desc    Export filtered audit log entries as CSV
+// @access  Private (audit:read)
+router.get('/export', validateAuditQuery, handleValidationErrors, async (req, res, next) => {
+  try {
+    const filter = buildAuditFilter(req.query);
+    const cursor = AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(AUDIT_EXPORT_MAX_ROWS)
+      .lean()
+      .cursor();
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.write(`${CSV_COLUMNS.join(',')}\n`);
+
+    for await (const entry of cursor) {
+      const row = CSV_COLUMNS.map(column => {
+        const value = entry[column];
+        return escapeCsv(value instanceof Date ? value.toISOString() : value);
+      });
+      res.write(`${row.join(',')}\n`);
+    }
+
+    res.end();
+  } catch (error) {
+    // Headers are gone once streaming has started; just cut the response short
+    if (res.headersSent) {
+      console.error('Audit export error:', error);
+      return res.end();
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
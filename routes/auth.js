@@ -1,22 +1,31 @@
+const crypto = require('crypto');
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { authMiddleware } = require('../middleware/auth');
+const Session = require('../models/Session');
+const Invitation = require('../models/Invitation');
+const { authMiddleware, sessionOnlyMiddleware } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { recordAudit } = require('../utils/audit');
+const {
+  hashToken,
+  safeCompare,
+  signLoginStepToken,
+  verifyLoginStepToken,
+  parseRefreshToken,
+  issueSession,
+  rotateSession,
+  completeLogin,
+  verifyInvitationToken
+} = require('../utils/tokens');
+const { isMfaRequiredForRole } = require('../utils/mfa');
+const { PASSWORD_POLICY, validatePassword, isPasswordExpired } = require('../utils/passwordPolicy');
+const { verifyFirebaseIdToken } = require('../utils/firebase');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../utils/emails');
+const { STAFF_ROLES, PRIVILEGED_ROLES, isStaffRole, getPermissions } = require('../config/permissions');
 const router = express.Router();
 
-const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_EXPIRE = process.env.JWT_EXPIRE || '7d';
-
-// Generate JWT Token
-const generateToken = (user) => {
-  return jwt.sign(
-    { userId: user._id, role: user.role },
-    JWT_SECRET,
-    { expiresIn: JWT_EXPIRE }
-  );
-};
-
 // --- Validation Middlewares ---
 
 const validateLogin = [
@@ -27,15 +36,102 @@ const validateLogin = [
 const validateRegister = [
     body('name').notEmpty().withMessage('Name is required'),
     body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
-    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
-    body('role').optional().isIn(['user', 'admin']).withMessage('Invalid role specified')
+    body('password').notEmpty().withMessage('Password is required')
 ];
 
+const validateAcceptInvite = [
+    body('token').notEmpty().withMessage('Invitation token is required'),
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('password').notEmpty().withMessage('Password is required')
+];
+
+// Reject passwords that break the central policy; returns true when a response was sent
+const rejectWeakPassword = (res, password, user, field = 'password') => {
+  const problems = validatePassword(password, user);
+  if (!problems.length) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Password does not meet the security policy',
+    errors: problems.map(msg => ({ path: field, msg }))
+  });
+  return true;
+};
+
+const rejectReusedPassword = async (res, password, user) => {
+  if (!await user.isPasswordReused(password)) return false;
+
+  res.status(400).json({
+    success: false,
+    message: `You cannot reuse one of your last ${PASSWORD_POLICY.historyCount} passwords`
+  });
+  return true;
+};
+
+// Respond to a successful first factor (password or Firebase identity).
+// Users with a second factor only get a short-lived "mfa pending" token here.
+const sendLoginResponse = async (req, res, user) => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication code required',
+      data: { mfaRequired: true, mfaToken: signLoginStepToken(user, 'mfa_login') }
+    });
+  }
+
+  if (isMfaRequiredForRole(user.role)) {
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication must be set up before you can sign in',
+      data: { mfaSetupRequired: true, mfaToken: signLoginStepToken(user, 'mfa_setup') }
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: await completeLogin(user, req)
+  });
+};
+
+// --- Registration Policy ---
+// Staff normally join through invitations. Self-registration is only possible with
+// REGISTRATION_MODE=open, optionally limited to REGISTRATION_ALLOWED_DOMAINS, and never
+// grants a privileged role.
+const REGISTRATION_MODE = process.env.REGISTRATION_MODE || 'disabled';
+const REGISTRATION_ALLOWED_DOMAINS = (process.env.REGISTRATION_ALLOWED_DOMAINS || '')
+  .split(',')
+  .map(domain => domain.trim().toLowerCase())
+  .filter(Boolean);
+const REGISTRATION_ROLE = STAFF_ROLES.includes(process.env.REGISTRATION_DEFAULT_ROLE)
+  && !PRIVILEGED_ROLES.includes(process.env.REGISTRATION_DEFAULT_ROLE)
+  ? process.env.REGISTRATION_DEFAULT_ROLE
+  : 'reporter';
+
+const checkRegistrationAllowed = (req, res, next) => {
+  if (REGISTRATION_MODE !== 'open') {
+    return res.status(403).json({
+      success: false,
+      message: 'Public registration is disabled. Please ask a super admin for an invitation.'
+    });
+  }
+
+  const domain = String(req.body.email || '').split('@').pop().toLowerCase();
+  if (REGISTRATION_ALLOWED_DOMAINS.length && !REGISTRATION_ALLOWED_DOMAINS.includes(domain)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Registration is not allowed for this email domain.'
+    });
+  }
+
+  next();
+};
+
 
 // @route   POST /api/auth/register
-// @desc    Register a new user (for admins)
-// @access  Public
-router.post("/register", validateRegister, async (req, res, next) => {
+// @desc    Self-register a staff account (only when enabled by configuration)
+// @access  Public (REGISTRATION_MODE=open)
+router.post("/register", checkRegistrationAllowed, validateRegister, async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -48,7 +144,10 @@ router.post("/register", validateRegister, async (req, res, next) => {
         });
     }
 
-    const { name, email, password, phone, role = "admin" } = req.body; // Default role to admin for this registration form
+    const { name, email, password, phone } = req.body;
+    const role = REGISTRATION_ROLE;
+
+    if (rejectWeakPassword(res, password, { name, email })) return;
 
     const existingUser = await User.findOne({ email: email.toLowerCase() });
     if (existingUser) {
@@ -62,18 +161,94 @@ router.post("/register", validateRegister, async (req, res, next) => {
 
     const user = new User({ name, email, password, phone, role });
     await user.save();
+    await recordAudit(req, { actor: user, action: 'auth.register', targetType: 'User', targetId: user._id });
 
-    const token = generateToken(user);
+    const { token, refreshToken, expiresIn } = await issueSession(user, req);
+    const verificationToken = user.createEmailVerificationToken();
     user.lastLogin = new Date();
     await user.save();
 
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
     // Omit sensitive data from the response
     const userResponse = user.toJSON();
 
     res.status(201).json({
       success: true,
       message: "User registered successfully",
-      data: { token, user: userResponse },
+      data: { token, refreshToken, expiresIn, user: userResponse },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/accept-invite
+// @desc    Create an account from an invitation; the invitee sets their name and password
+// @access  Public
+router.post('/accept-invite', validateAcceptInvite, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, name, password, phone } = req.body;
+
+    const decoded = verifyInvitationToken(token);
+    const invitation = decoded && await Invitation.findById(decoded.inv);
+
+    if (!invitation || invitation.email !== decoded.email || invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid, revoked or has expired'
+      });
+    }
+
+    const existingUser = await User.findByEmail(invitation.email);
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'User already exists with this email'
+      });
+    }
+
+    if (rejectWeakPassword(res, password, { name, email: invitation.email })) return;
+
+    // The invitation link proves ownership of the address
+    const user = new User({
+      name,
+      email: invitation.email,
+      password,
+      phone,
+      role: invitation.role,
+      emailVerified: true
+    });
+    await user.save();
+
+    invitation.acceptedAt = new Date();
+    invitation.acceptedUser = user._id;
+    await invitation.save();
+    await recordAudit(req, {
+      actor: user,
+      action: 'invitation.accept',
+      targetType: 'Invitation',
+      targetId: invitation._id,
+      metadata: { role: invitation.role }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully. Please login to continue.',
+      data: { user: user.toJSON() }
     });
   } catch (error) {
     next(error);
@@ -100,17 +275,18 @@ router.post('/login', validateLogin, async (req, res, next) => {
     const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
     
     if (!user) {
+      await recordAudit(req, { action: 'auth.login_failed', metadata: { email, reason: 'unknown_email' } });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Check if user is admin or super_admin
-    if (!['admin', 'super_admin'].includes(user.role)) {
+    // Check if user is allowed into the admin portal
+    if (!isStaffRole(user.role)) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Admin privileges required.'
+        message: 'Access denied. Staff privileges required.'
       });
     }
 
@@ -118,7 +294,7 @@ router.post('/login', validateLogin, async (req, res, next) => {
     if (user.isLocked) {
       return res.status(423).json({
         success: false,
-        message: 'Account is temporarily locked due to too many failed login attempts.'
+        message: 'Account is temporarily locked due to too many failed login attempts. Reset your password to unlock it.'
       });
     }
 
@@ -134,40 +310,178 @@ router.post('/login', validateLogin, async (req, res, next) => {
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
       await user.incLoginAttempts();
+      await recordAudit(req, {
+        actor: user,
+        action: 'auth.login_failed',
+        targetType: 'User',
+        targetId: user._id,
+        metadata: { reason: 'invalid_password' }
+      });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Reset login attempts on successful login
-    await user.resetLoginAttempts();
+    // Seeded accounts and expired passwords must be changed before a session is issued
+    if (user.passwordChangeRequired || isPasswordExpired(user)) {
+      return res.json({
+        success: true,
+        message: 'Your password must be changed before you can sign in',
+        data: { passwordChangeRequired: true, passwordChangeToken: signLoginStepToken(user, 'password_change') }
+      });
+    }
 
-    // Generate token
-    const token = generateToken(user);
+    await sendLoginResponse(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Update last login
-    user.lastLogin = new Date();
-    user.analytics.lastActiveAt = new Date();
+// @route   POST /api/auth/change-expired-password
+// @desc    Set a new password during login when the current one was expired or must be changed
+// @access  Public (requires a password change token from /login)
+router.post('/change-expired-password', [
+  body('passwordChangeToken').notEmpty().withMessage('Password change token is required'),
+  body('newPassword').notEmpty().withMessage('New password is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const decoded = verifyLoginStepToken(req.body.passwordChangeToken, 'password_change');
+    const user = decoded && await User.findById(decoded.userId).select('+password +passwordHistory');
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password change session is invalid or has expired. Please login again.'
+      });
+    }
+
+    if (user.isLocked || user.status !== 'active') {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account is not active. Please contact support.'
+      });
+    }
+
+    const { newPassword } = req.body;
+    if (rejectWeakPassword(res, newPassword, user, 'newPassword')) return;
+    if (await rejectReusedPassword(res, newPassword, user)) return;
+
+    user.changePassword(newPassword);
     await user.save();
+    await Session.revokeAllForUser(user._id, 'password_change');
+    await recordAudit(req, { actor: user, action: 'auth.password_change', targetType: 'User', targetId: user._id, metadata: { reason: 'expired' } });
 
-    // Send response
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        token,
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          status: user.status,
-          avatar: user.avatar,
-          lastLogin: user.lastLogin
+    await sendLoginResponse(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/firebase
+// @desc    Sign in with a Firebase ID token; links or creates the user by firebaseUid/email
+// @access  Public
+router.post('/firebase', [
+  body('idToken').notEmpty().withMessage('Firebase ID token is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let claims;
+    try {
+      claims = await verifyFirebaseIdToken(req.body.idToken);
+    } catch (error) {
+      if (error.name !== 'FirebaseAuthError') throw error;
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid Firebase token'
+      });
+    }
+
+    const firebaseUid = claims.sub;
+    const email = claims.email ? claims.email.toLowerCase() : null;
+
+    let user = await User.findOne({ firebaseUid });
+
+    // Only a verified Firebase email may be linked to an existing account
+    if (!user && email && claims.email_verified) {
+      user = await User.findByEmail(email);
+      if (user) {
+        if (user.firebaseUid && user.firebaseUid !== firebaseUid) {
+          return res.status(409).json({
+            success: false,
+            message: 'This email is already linked to another Firebase account'
+          });
         }
+        user.firebaseUid = firebaseUid;
+        if (!user.emailVerified) {
+          user.markEmailVerified();
+        }
+        await user.save();
+        await recordAudit(req, { actor: user, action: 'auth.firebase_link', targetType: 'User', targetId: user._id });
       }
-    });
+    }
+
+    if (!user) {
+      if (!email) {
+        return res.status(400).json({
+          success: false,
+          message: 'Firebase account has no email address'
+        });
+      }
+
+      if (await User.findByEmail(email)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Verify your email with Firebase before linking it to an existing account'
+        });
+      }
+
+      // App users never sign in with a password, so give them an unusable random one
+      user = new User({
+        name: (claims.name || email.split('@')[0]).substring(0, 50),
+        email,
+        password: crypto.randomBytes(32).toString('hex'),
+        role: 'user',
+        firebaseUid,
+        emailVerified: !!claims.email_verified,
+        avatar: claims.picture && /^https?:\/\//.test(claims.picture) ? claims.picture : undefined
+      });
+      await user.save();
+      await recordAudit(req, { actor: user, action: 'auth.firebase_register', targetType: 'User', targetId: user._id });
+    }
+
+    if (user.isLocked) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account is temporarily locked due to too many failed login attempts.'
+      });
+    }
+
+    if (user.status !== 'active') {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account is not active. Please contact support.'
+      });
+    }
+
+    await sendLoginResponse(req, res, user);
   } catch (error) {
     next(error);
   }
@@ -176,7 +490,7 @@ router.post('/login', validateLogin, async (req, res, next) => {
 // @route   GET /api/auth/me
 // @desc    Get current admin profile
 // @access  Private (Admin only)
-router.get('/me', authMiddleware, async (req, res, next) => {
+router.get('/me', authMiddleware, sessionOnlyMiddleware, async (req, res, next) => {
   try {
     const user = await User.findById(req.user.userId);
 
@@ -199,8 +513,10 @@ router.get('/me', authMiddleware, async (req, res, next) => {
           name: user.name,
           email: user.email,
           role: user.role,
+          permissions: getPermissions(user.role),
           status: user.status,
           avatar: user.avatar,
+          emailVerified: user.emailVerified,
           createdAt: user.createdAt,
           lastLogin: user.lastLogin
         }
@@ -214,9 +530,9 @@ router.get('/me', authMiddleware, async (req, res, next) => {
 // @route   POST /api/auth/change-password
 // @desc    Change password for logged-in admin
 // @access  Private (Admin only)
-router.post('/change-password', authMiddleware, [
+router.post('/change-password', authMiddleware, sessionOnlyMiddleware, audit('auth.password_change', 'User'), [
   body('oldPassword').notEmpty().withMessage('Old password is required'),
-  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters long')
+  body('newPassword').notEmpty().withMessage('New password is required')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -230,8 +546,8 @@ router.post('/change-password', authMiddleware, [
 
     const { oldPassword, newPassword } = req.body;
 
-    // Find user with password
-    const user = await User.findById(req.user.userId).select('+password');
+    // Find user with password and history
+    const user = await User.findById(req.user.userId).select('+password +passwordHistory');
 
     if (!user) {
       return res.status(404).json({
@@ -249,10 +565,17 @@ router.post('/change-password', authMiddleware, [
       });
     }
 
+    if (rejectWeakPassword(res, newPassword, user, 'newPassword')) return;
+    if (await rejectReusedPassword(res, newPassword, user)) return;
+
     // Set new password (pre-save middleware will hash it)
-    user.password = newPassword;
+    user.changePassword(newPassword);
     await user.save();
 
+    // Sign out every other device using the old password
+    await Session.revokeAllForUser(user._id, 'password_change', req.user.sessionId);
+    res.locals.audit = { targetId: user._id };
+
     res.json({
       success: true,
       message: 'Password changed successfully'
@@ -262,14 +585,268 @@ router.post('/change-password', authMiddleware, [
   }
 });
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a single-use password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Same answer whether or not the account exists, so emails cannot be enumerated
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent.'
+    };
+
+    const user = await User.findByEmail(req.body.email);
+    if (!user || !isStaffRole(user.role) || user.status !== 'active') {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+    await recordAudit(req, { actor: user, action: 'auth.password_reset_requested', targetType: 'User', targetId: user._id });
+
+    try {
+      await sendPasswordResetEmail(user, resetToken);
+    } catch (mailError) {
+      console.error('Password reset email error:', mailError);
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByResetToken(req.body.token).select('+password +passwordHistory');
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    if (rejectWeakPassword(res, req.body.password, user)) return;
+    if (await rejectReusedPassword(res, req.body.password, user)) return;
+
+    // Invalidate the token and unlock the account along with the new password
+    user.changePassword(req.body.password);
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'password_change');
+    await recordAudit(req, { actor: user, action: 'auth.password_reset', targetType: 'User', targetId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please login with your new password.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/verify-email/send
+// @desc    Issue (or re-send) a verification link for the logged-in admin
+// @access  Private
+router.post('/verify-email/send', authMiddleware, sessionOnlyMiddleware, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already verified'
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, verificationToken);
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${user.email}`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address using a verification token
+// @access  Public
+router.post('/verify-email', [
+  body('token').notEmpty().withMessage('Verification token is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByEmailVerificationToken(req.body.token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.markEmailVerified();
+    await user.save();
+    await recordAudit(req, { actor: user, action: 'auth.email_verified', targetType: 'User', targetId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Email address verified successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new token pair (rotates the refresh token)
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const parsed = parseRefreshToken(req.body.refreshToken);
+    const session = parsed && mongoose.Types.ObjectId.isValid(parsed.sessionId)
+      ? await Session.findById(parsed.sessionId).select('+refreshTokenHash')
+      : null;
+
+    if (!session || !session.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token. Please login again.'
+      });
+    }
+
+    // A valid session presented with an old secret means the token was replayed
+    if (!safeCompare(session.refreshTokenHash, hashToken(parsed.secret))) {
+      await session.revoke('token_reuse');
+      await recordAudit(req, {
+        actor: { userId: session.user },
+        action: 'auth.refresh_token_reuse',
+        targetType: 'Session',
+        targetId: session._id
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token. Please login again.'
+      });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || user.status !== 'active' || user.isLocked) {
+      await session.revoke('status_change');
+      return res.status(403).json({
+        success: false,
+        message: 'Your account is not active. Please contact support.'
+      });
+    }
+
+    const { token, refreshToken, expiresIn } = await rotateSession(session, user, req);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: { token, refreshToken, expiresIn }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout admin (client-side token removal)
+// @desc    Logout admin and revoke the current session
 // @access  Private
-router.post('/logout', authMiddleware, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+router.post('/logout', authMiddleware, sessionOnlyMiddleware, audit('auth.logout', 'Session'), async (req, res, next) => {
+  try {
+    res.locals.audit = { targetId: req.user.sessionId };
+    await Session.updateOne(
+      { _id: req.user.sessionId, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Revoke every session of the logged-in admin, including the current one
+// @access  Private
+router.post('/logout-all', authMiddleware, sessionOnlyMiddleware, audit('auth.logout_all', 'User'), async (req, res, next) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user.userId, 'logout');
+    res.locals.audit = { targetId: req.user.userId, metadata: { revokedSessions: result.modifiedCount } };
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices successfully',
+      data: { revokedSessions: result.modifiedCount }
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 
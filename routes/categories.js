@@ -0,0 +1,323 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const {
+  authMiddleware,
+  staffMiddleware,
+  requirePermission
+} = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { migrateCategoryReferences, countCategoryUsage } = require('../utils/categories');
+const router = express.Router();
+
+// Any staff member can read categories; changing them needs categories:manage
+router.use(authMiddleware);
+router.use(staffMiddleware);
+
+const { CONTENT_TYPES } = Category;
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+  }
+  next();
+};
+
+const validateObjectId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ success: false, message: 'Invalid category ID' });
+  }
+  next();
+};
+
+// Fields shared by create and update
+const validateCategoryFields = [
+  body('slug').optional({ checkFalsy: true }).trim().isLength({ max: 60 }).withMessage('Slug cannot exceed 60 characters'),
+  body('labels').optional().isObject().withMessage('Labels must be an object of language code to label'),
+  body('labels.*').optional().isString().trim().isLength({ max: 50 }).withMessage('Labels cannot exceed 50 characters'),
+  body('order').optional().isInt().toInt(),
+  body('color').optional({ checkFalsy: true }).matches(/^#[0-9a-fA-F]{6}$/).withMessage('Colour must be a hex value such as #1a73e8'),
+  body('icon').optional({ checkFalsy: true }).trim().isLength({ max: 50 }).withMessage('Icon cannot exceed 50 characters'),
+  body('active').optional().isBoolean().toBoolean()
+];
+
+const EDITABLE_FIELDS = ['slug', 'labels', 'order', 'color', 'icon', 'active'];
+
+// A name now used by this category must not resolve to another one through formerNames
+const releaseFormerName = (contentType, name, categoryId) => {
+  return Category.updateMany(
+    { contentType, _id: { $ne: categoryId }, formerNames: name },
+    { $pull: { formerNames: name } }
+  );
+};
+
+// @route   GET /api/admin/categories
+// @desc    List categories, optionally by content type (?type=news|videos) and active flag
+// @access  Private (Staff)
+router.get('/', [
+  query('type').optional().isIn(CONTENT_TYPES).withMessage(`Type must be one of: ${CONTENT_TYPES.join(', ')}`),
+  query('active').optional().isBoolean().toBoolean()
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.type) filter.contentType = req.query.type;
+    if (req.query.active !== undefined) filter.active = req.query.active;
+
+    const categories = await Category.find(filter)
+      .sort({ contentType: 1, order: 1, name: 1 })
+      .lean({ flattenMaps: true });
+
+    res.json({ success: true, data: { categories } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/categories/reorder
+// @desc    Set the display order of a content type's categories from an ordered list of IDs
+// @access  Private (categories:manage)
+router.put('/reorder', requirePermission('categories:manage'), audit('category.reorder', 'Category'), [
+  body('contentType').isIn(CONTENT_TYPES).withMessage(`Content type must be one of: ${CONTENT_TYPES.join(', ')}`),
+  body('ids').isArray({ min: 1 }).withMessage('IDs must be a non-empty array'),
+  body('ids.*').isMongoId().withMessage('Invalid category ID in array')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { contentType, ids } = req.body;
+
+    await Category.bulkWrite(ids.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id, contentType },
+        update: { $set: { order: index } }
+      }
+    })));
+    res.locals.audit = { metadata: { contentType, ids } };
+
+    const categories = await Category.find({ contentType }).sort({ order: 1, name: 1 });
+
+    res.json({
+      success: true,
+      message: 'Categories reordered successfully',
+      data: { categories }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/categories/:id
+// @desc    Get a category with the number of items filed under it
+// @access  Private (Staff)
+router.get('/:id', validateObjectId, async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+
+    const usage = await countCategoryUsage(category.contentType, category.name);
+
+    res.json({ success: true, data: { category, usage } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/categories
+// @desc    Create a category
+// @access  Private (categories:manage)
+router.post('/', requirePermission('categories:manage'), audit('category.create', 'Category'), [
+  body('contentType').isIn(CONTENT_TYPES).withMessage(`Content type must be one of: ${CONTENT_TYPES.join(', ')}`),
+  body('name').trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
+  ...validateCategoryFields
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { contentType, name } = req.body;
+
+    if (await Category.exists({ contentType, name })) {
+      return res.status(409).json({ success: false, message: 'A category with this name already exists' });
+    }
+
+    const category = new Category({ contentType, name, createdBy: req.user.userId });
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) category.set(field, req.body[field]);
+    });
+    if (!category.labels.has('en')) {
+      category.labels.set('en', name);
+    }
+    await category.save();
+    await releaseFormerName(contentType, name, category._id);
+    res.locals.audit = { targetId: category._id, after: category };
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: { category }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/categories/:id
+// @desc    Update labels, slug, ordering, colour, icon or active flag (use /rename to change the name)
+// @access  Private (categories:manage)
+router.put('/:id', requirePermission('categories:manage'), audit('category.update', 'Category'), validateObjectId, validateCategoryFields, handleValidationErrors, async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+
+    const before = category.toObject();
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) category.set(field, req.body[field]);
+    });
+    await category.save();
+    res.locals.audit = { before, after: category };
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: { category }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/categories/:id/rename
+// @desc    Rename a category and migrate every news/video item and user preference using it
+// @access  Private (categories:manage)
+router.post('/:id/rename', requirePermission('categories:manage'), audit('category.rename', 'Category'), validateObjectId, [
+  body('name').trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { name } = req.body;
+
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+
+    if (category.name === name) {
+      return res.status(400).json({ success: false, message: 'The category already has this name' });
+    }
+
+    if (await Category.exists({ contentType: category.contentType, name, _id: { $ne: category._id } })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another category already has this name. Merge the categories instead.'
+      });
+    }
+
+    // References are migrated first, so a failed rename can simply be retried
+    const oldName = category.name;
+    const migrated = await migrateCategoryReferences(category.contentType, oldName, name);
+
+    category.formerNames.addToSet(oldName);
+    category.formerNames.pull(name);
+    category.name = name;
+    category.slug = undefined;
+    if (category.labels.get('en') === oldName) {
+      category.labels.set('en', name);
+    }
+    await category.save();
+    await releaseFormerName(category.contentType, name, category._id);
+    res.locals.audit = { before: { name: oldName }, after: { name }, metadata: { migrated } };
+
+    res.json({
+      success: true,
+      message: `Category renamed from ${oldName} to ${name}`,
+      data: { category, migrated }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/categories/:id/merge
+// @desc    Merge this category into another one of the same content type, then delete it
+// @access  Private (categories:manage)
+router.post('/:id/merge', requirePermission('categories:manage'), audit('category.merge', 'Category'), validateObjectId, [
+  body('targetId').isMongoId().withMessage('Invalid target category ID')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const [source, target] = await Promise.all([
+      Category.findById(req.params.id),
+      Category.findById(req.body.targetId)
+    ]);
+
+    if (!source || !target) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+
+    if (source._id.equals(target._id) || source.contentType !== target.contentType) {
+      return res.status(400).json({
+        success: false,
+        message: 'A category can only be merged into a different category of the same content type'
+      });
+    }
+
+    const migrated = await migrateCategoryReferences(source.contentType, source.name, target.name);
+
+    // Old names of the merged category keep resolving to the target
+    [source.name, ...source.formerNames].forEach(name => target.formerNames.addToSet(name));
+    await target.save();
+    await Category.deleteOne({ _id: source._id });
+    res.locals.audit = {
+      before: source,
+      metadata: { mergedInto: target._id, targetName: target.name, migrated }
+    };
+
+    res.json({
+      success: true,
+      message: `Category ${source.name} merged into ${target.name}`,
+      data: { category: target, migrated }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/admin/categories/:id
+// @desc    Delete a category that no content uses (deactivate or merge it otherwise)
+// @access  Private (categories:manage)
+router.delete('/:id', requirePermission('categories:manage'), audit('category.delete', 'Category'), validateObjectId, async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+
+    const usage = await countCategoryUsage(category.contentType, category.name);
+    if (usage > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Category is used by ${usage} item(s). Deactivate it or merge it into another category instead.`,
+        data: { usage }
+      });
+    }
+
+    await Category.deleteOne({ _id: category._id });
+    if (category.contentType === 'news') {
+      await User.updateMany(
+        { 'preferences.categories': category.name },
+        { $pull: { 'preferences.categories': category.name } }
+      );
+    }
+    res.locals.audit = { before: category };
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully',
+      data: { deletedId: req.params.id }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
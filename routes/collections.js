@@ -0,0 +1,367 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Collection = require('../models/Collection');
+const Media = require('../models/Media');
+const {
+  authMiddleware,
+  staffMiddleware,
+  requirePermission
+} = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { MAX_SLUG_LENGTH } = require('../utils/slug');
+const { escapeRegex } = require('../utils/regex');
+const { ITEM_TYPES, resolveItems, findMissingItems } = require('../utils/collections');
+const router = express.Router();
+
+// Any staff member can browse collections; changing them needs collections:manage
+router.use(authMiddleware);
+router.use(staffMiddleware);
+
+const { COLLECTION_KINDS, COLLECTION_STATUSES, MAX_COLLECTION_ITEMS } = Collection;
+const ITEM_TYPE_NAMES = Object.keys(ITEM_TYPES);
+const EDITABLE_FIELDS = ['title', 'slug', 'description', 'kind', 'coverImageUrl', 'coverMedia', 'status', 'featured'];
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+  }
+  next();
+};
+
+const validateObjectId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ success: false, message: 'Invalid collection ID' });
+  }
+  next();
+};
+
+const validateCollectionFields = [
+  body('title').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Title must be between 1 and 200 characters'),
+  body('slug').optional({ checkFalsy: true }).trim().isLength({ max: MAX_SLUG_LENGTH }).withMessage(`Slug cannot exceed ${MAX_SLUG_LENGTH} characters`),
+  body('description').optional().trim().isLength({ max: 2000 }).withMessage('Description cannot exceed 2000 characters'),
+  body('kind').optional().isIn(COLLECTION_KINDS).withMessage(`Kind must be one of: ${COLLECTION_KINDS.join(', ')}`),
+  body('coverImageUrl').optional({ checkFalsy: true }).isURL().withMessage('Cover image URL must be a valid URL'),
+  body('coverMedia').optional({ nullable: true }).isMongoId().withMessage('Invalid media ID').bail().custom(async value => {
+    if (!await Media.exists({ _id: value })) throw new Error('Media not found');
+    return true;
+  }),
+  body('status').optional().isIn(COLLECTION_STATUSES).withMessage(`Status must be one of: ${COLLECTION_STATUSES.join(', ')}`),
+  body('featured').optional().isBoolean().withMessage('Featured must be a boolean').toBoolean()
+];
+
+// Item lists in request bodies: [{ type: 'news' | 'videos', id }]
+const validateItemList = (field, max) => [
+  body(field).isArray({ max }).withMessage(`${field} must be an array of at most ${max} items`),
+  body(`${field}.*.type`).isIn(ITEM_TYPE_NAMES).withMessage(`Item type must be one of: ${ITEM_TYPE_NAMES.join(', ')}`),
+  body(`${field}.*.id`).isMongoId().withMessage('Invalid item ID')
+];
+
+const toEntry = ({ type, id }) => ({ model: ITEM_TYPES[type], item: String(id) });
+
+const sameEntry = (a, b) => a.model === b.model && String(a.item) === String(b.item);
+
+const hasDuplicates = (entries) => entries.some((entry, index) => entries.findIndex(other => sameEntry(other, entry)) !== index);
+
+// Error message when items cannot be added, or null
+const checkNewItems = async (items) => {
+  const missing = await findMissingItems(items);
+  return missing.length ? `Items not found or in the trash: ${missing.join(', ')}` : null;
+};
+
+const respondWithItems = async (res, collection, message, status = 200) => {
+  const items = await resolveItems(collection);
+  res.status(status).json({
+    success: true,
+    message,
+    data: { collection, items, total: items.length }
+  });
+};
+
+// @route   GET /api/admin/collections
+// @desc    List collections (?kind, ?status, ?featured, ?search) with their item counts
+// @access  Private (Staff)
+router.get('/', [
+  query('kind').optional().isIn(COLLECTION_KINDS).withMessage(`Kind must be one of: ${COLLECTION_KINDS.join(', ')}`),
+  query('status').optional().isIn(COLLECTION_STATUSES).withMessage(`Status must be one of: ${COLLECTION_STATUSES.join(', ')}`),
+  query('featured').optional().isBoolean().withMessage('Featured must be a boolean').toBoolean(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, kind, status, featured, search } = req.query;
+    const filter = {};
+    if (kind) filter.kind = kind;
+    if (status) filter.status = status;
+    if (featured !== undefined) filter.featured = featured;
+    if (search) {
+      filter.title = { $regex: escapeRegex(search), $options: 'i' };
+    }
+
+    const skip = (page - 1) * limit;
+    const [collections, total] = await Promise.all([
+      Collection.find(filter)
+        .sort({ featured: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('createdBy', 'name email')
+        .lean(),
+      Collection.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        collections: collections.map(({ items, ...collection }) => ({ ...collection, itemCount: items.length })),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalCollections: total
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/collections/slug/:slug
+// @desc    Get a collection with its items by its current or a former slug
+// @access  Private (Staff)
+router.get('/slug/:slug', async (req, res, next) => {
+  try {
+    const collection = await Collection.findBySlug(req.params.slug).populate('createdBy', 'name email');
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+
+    const items = await resolveItems(collection);
+    const redirect = collection.slug !== req.params.slug.toLowerCase();
+    res.json({
+      success: true,
+      data: {
+        collection,
+        items,
+        total: items.length,
+        redirect,
+        ...(redirect && { canonicalSlug: collection.slug })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/collections/:id
+// @desc    Get a collection with its items in order, each with its part number.
+//          Trashed items are left out (and the parts renumbered) until restored.
+// @access  Private (Staff)
+router.get('/:id', validateObjectId, async (req, res, next) => {
+  try {
+    const collection = await Collection.findById(req.params.id).populate('createdBy', 'name email');
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+
+    const items = await resolveItems(collection);
+    res.json({ success: true, data: { collection, items, total: items.length } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/collections
+// @desc    Create a collection, optionally with its first items ([{ type, id }])
+// @access  Private (collections:manage)
+router.post('/', requirePermission('collections:manage'), audit('collection.create', 'Collection'), [
+  body('title').trim().notEmpty().withMessage('Title is required'),
+  ...validateCollectionFields,
+  ...validateItemList('items', MAX_COLLECTION_ITEMS).map(validator => validator.optional())
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const items = req.body.items || [];
+    const entries = items.map(toEntry);
+    if (hasDuplicates(entries)) {
+      return res.status(400).json({ success: false, message: 'An item can only be in a collection once' });
+    }
+    const itemError = await checkNewItems(items);
+    if (itemError) {
+      return res.status(400).json({ success: false, message: itemError });
+    }
+
+    const collection = new Collection({ items: entries, createdBy: req.user.userId });
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) collection.set(field, req.body[field]);
+    });
+    await collection.save();
+    res.locals.audit = { targetId: collection._id, after: collection };
+
+    await respondWithItems(res, collection, 'Collection created successfully', 201);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/collections/:id
+// @desc    Update a collection's details (items are managed through /:id/items)
+// @access  Private (collections:manage)
+router.put('/:id', requirePermission('collections:manage'), audit('collection.update', 'Collection'), validateObjectId, validateCollectionFields, handleValidationErrors, async (req, res, next) => {
+  try {
+    const collection = await Collection.findById(req.params.id);
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+
+    const before = collection.toObject();
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) collection.set(field, req.body[field]);
+    });
+    await collection.save();
+    res.locals.audit = { before, after: collection };
+
+    res.json({
+      success: true,
+      message: 'Collection updated successfully',
+      data: { collection }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/collections/:id/items/order
+// @desc    Reorder the items from an ordered list ([{ type, id }]) of exactly the items shown
+//          by GET /:id. Trashed items, which are not shown, keep their place among the others.
+// @access  Private (collections:manage)
+router.put('/:id/items/order', requirePermission('collections:manage'), audit('collection.reorder', 'Collection'), validateObjectId, validateItemList('items', MAX_COLLECTION_ITEMS), handleValidationErrors, async (req, res, next) => {
+  try {
+    const collection = await Collection.findById(req.params.id);
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+
+    const order = req.body.items.map(toEntry);
+    const current = collection.items;
+    const shown = (await resolveItems(collection)).map(toEntry);
+    if (hasDuplicates(order) || order.length !== shown.length || !order.every(entry => shown.some(existing => sameEntry(existing, entry)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'The new order must list every item of the collection exactly once'
+      });
+    }
+
+    // Shown items fill their slots in the new order; hidden ones stay where they are
+    const before = current.map(({ model, item }) => ({ model, item }));
+    const reordered = order.map(entry => current.find(existing => sameEntry(existing, entry)).toObject());
+    collection.items = current.map(existing => {
+      const isShown = shown.some(entry => sameEntry(entry, existing));
+      return isShown ? reordered.shift() : existing.toObject();
+    });
+    await collection.save();
+    res.locals.audit = {
+      before: { items: before },
+      after: { items: collection.items.map(({ model, item }) => ({ model, item })) }
+    };
+
+    await respondWithItems(res, collection, 'Collection reordered successfully');
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/collections/:id/items
+// @desc    Add a news article or video ({ type, id }) at `position` (0-based; appended by default)
+// @access  Private (collections:manage)
+router.post('/:id/items', requirePermission('collections:manage'), audit('collection.add_item', 'Collection'), validateObjectId, [
+  body('type').isIn(ITEM_TYPE_NAMES).withMessage(`Type must be one of: ${ITEM_TYPE_NAMES.join(', ')}`),
+  body('id').isMongoId().withMessage('Invalid item ID'),
+  body('position').optional().isInt({ min: 0 }).withMessage('Position must be a non-negative integer').toInt()
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { type, id, position } = req.body;
+
+    const collection = await Collection.findById(req.params.id);
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+
+    const entry = toEntry({ type, id });
+    if (collection.items.some(existing => sameEntry(existing, entry))) {
+      return res.status(409).json({ success: false, message: 'The item is already in this collection' });
+    }
+    if (collection.items.length >= MAX_COLLECTION_ITEMS) {
+      return res.status(400).json({ success: false, message: `A collection cannot have more than ${MAX_COLLECTION_ITEMS} items` });
+    }
+    const itemError = await checkNewItems([{ type, id }]);
+    if (itemError) {
+      return res.status(404).json({ success: false, message: itemError });
+    }
+
+    const index = position === undefined ? collection.items.length : Math.min(position, collection.items.length);
+    collection.items.splice(index, 0, entry);
+    await collection.save();
+    res.locals.audit = { metadata: { type, itemId: id, position: index } };
+
+    await respondWithItems(res, collection, 'Item added to collection');
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/admin/collections/:id/items/:type/:itemId
+// @desc    Remove a news article or video from a collection
+// @access  Private (collections:manage)
+router.delete('/:id/items/:type/:itemId', requirePermission('collections:manage'), audit('collection.remove_item', 'Collection'), validateObjectId, async (req, res, next) => {
+  try {
+    const { type, itemId } = req.params;
+    if (!ITEM_TYPES[type]) {
+      return res.status(400).json({ success: false, message: `Type must be one of: ${ITEM_TYPE_NAMES.join(', ')}` });
+    }
+    if (!mongoose.Types.ObjectId.isValid(itemId)) {
+      return res.status(400).json({ success: false, message: 'Invalid item ID' });
+    }
+
+    const collection = await Collection.findById(req.params.id);
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+
+    const entry = toEntry({ type, id: itemId });
+    const index = collection.items.findIndex(existing => sameEntry(existing, entry));
+    if (index === -1) {
+      return res.status(404).json({ success: false, message: 'The item is not in this collection' });
+    }
+
+    collection.items.splice(index, 1);
+    await collection.save();
+    res.locals.audit = { metadata: { type, itemId, position: index } };
+
+    await respondWithItems(res, collection, 'Item removed from collection');
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/admin/collections/:id
+// @desc    Delete a collection; its news articles and videos are not affected
+// @access  Private (collections:manage)
+router.delete('/:id', requirePermission('collections:manage'), audit('collection.delete', 'Collection'), validateObjectId, async (req, res, next) => {
+  try {
+    const collection = await Collection.findByIdAndDelete(req.params.id);
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+    res.locals.audit = { before: collection };
+
+    res.json({
+      success: true,
+      message: 'Collection deleted successfully',
+      data: { deletedId: req.params.id }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Device = require('../models/Device');
+const Alert = require('../models/Alert');
+const { authMiddleware, sessionOnlyMiddleware } = require('../middleware/auth');
+const router = express.Router();
+
+const MAX_TOKEN_LENGTH = 4096;
+
+// Signed-in users manage the push tokens of their own devices
+router.use(authMiddleware);
+router.use(sessionOnlyMiddleware);
+router.use((req, res, next) => {
+  if (req.user.isGuest) {
+    return res.status(403).json({ success: false, message: 'Sign in to receive notifications on this device.' });
+  }
+  next();
+});
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+  }
+  next();
+};
+
+const validateDeviceDetails = [
+  body('appVersion').optional().isString().trim().isLength({ max: 50 }).withMessage('App version cannot exceed 50 characters'),
+  body('osVersion').optional().isString().trim().isLength({ max: 50 }).withMessage('OS version cannot exceed 50 characters'),
+  body('model').optional().isString().trim().isLength({ max: 100 }).withMessage('Model cannot exceed 100 characters'),
+  body('optOuts').optional().isArray().withMessage('optOuts must be an array'),
+  body('optOuts.*').isIn(Alert.ALERT_TYPES).withMessage(`Opt-outs must be among: ${Alert.ALERT_TYPES.join(', ')}`)
+];
+
+const findOwnDevice = (req) => Device.findOne({ _id: req.params.id, user: req.user.userId });
+
+// @route   GET /api/devices
+// @desc    List the current user's registered devices
+// @access  Private
+router.get('/', async (req, res, next) => {
+  try {
+    const devices = await Device.find({ user: req.user.userId }).sort({ lastSeenAt: -1 }).lean();
+    res.json({ success: true, data: { devices } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/devices
+// @desc    Register a push token for the current user, or refresh it (apps call this on every start)
+// @access  Private
+router.post('/', [
+  body('token').isString().trim().isLength({ min: 1, max: MAX_TOKEN_LENGTH }).withMessage('A push token is required'),
+  body('platform').isIn(Device.PLATFORMS).withMessage(`Platform must be one of: ${Device.PLATFORMS.join(', ')}`),
+  ...validateDeviceDetails
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { device, created } = await Device.register(req.user.userId, req.body);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Device registered' : 'Device updated',
+      data: { device }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/devices/unregister
+// @desc    Remove a push token, e.g. on sign-out; unknown tokens are ignored
+// @access  Private
+router.post('/unregister', [
+  body('token').isString().trim().isLength({ min: 1, max: MAX_TOKEN_LENGTH }).withMessage('A push token is required')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    await Device.deleteOne({ token: req.body.token, user: req.user.userId });
+    res.json({ success: true, message: 'Device unregistered' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PATCH /api/devices/:id
+// @desc    Update a device's details or notification opt-outs
+// @access  Private (own devices)
+router.patch('/:id', validateDeviceDetails, handleValidationErrors, async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid device ID' });
+    }
+
+    const device = await findOwnDevice(req);
+    if (!device) {
+      return res.status(404).json({ success: false, message: 'Device not found' });
+    }
+
+    ['appVersion', 'osVersion', 'model', 'optOuts'].forEach(field => {
+      if (req.body[field] !== undefined) device.set(field, req.body[field]);
+    });
+    device.lastSeenAt = new Date();
+    await device.save();
+
+    res.json({ success: true, message: 'Device updated', data: { device } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/devices/:id
+// @desc    Remove one of the current user's devices
+// @access  Private (own devices)
+router.delete('/:id', async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid device ID' });
+    }
+
+    const device = await findOwnDevice(req);
+    if (!device) {
+      return res.status(404).json({ success: false, message: 'Device not found' });
+    }
+
+    await device.deleteOne();
+    res.json({ success: true, message: 'Device unregistered' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
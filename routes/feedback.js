@@ -1,12 +1,14 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { query, validationResult } = require('express-validator');
 const Feedback = require('../models/Feedback');
-const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+const { authMiddleware, staffMiddleware, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const router = express.Router();
 
-// Apply authentication and admin middleware to all routes
+// Apply authentication and staff middleware to all routes
 router.use(authMiddleware);
-router.use(adminMiddleware);
+router.use(staffMiddleware);
 
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -22,8 +24,8 @@ const handleValidationErrors = (req, res, next) => {
 
 // @route   GET /api/feedback
 // @desc    Get all feedback with pagination and filters
-// @access  Private (Admin only)
-router.get('/', [
+// @access  Private (feedback:read)
+router.get('/', requirePermission('feedback:read'), [
   query('page').optional().isInt({ min: 1 }).toInt(),
   query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
   query('rating').optional().isInt({ min: 1, max: 5 }).toInt(),
@@ -108,8 +110,8 @@ router.get('/', [
 
 // @route   GET /api/feedback/:id
 // @desc    Get single feedback by ID
-// @access  Private (Admin only)
-router.get('/:id', async (req, res, next) => {
+// @access  Private (feedback:read)
+router.get('/:id', requirePermission('feedback:read'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -134,13 +136,20 @@ router.get('/:id', async (req, res, next) => {
 });
 
 // @route   DELETE /api/feedback/:id
-// @desc    Delete feedback
-// @access  Private (Admin only)
-router.delete('/:id', async (req, res, next) => {
+// @desc    Delete feedback (moves it to the trash)
+// @access  Private (feedback:delete)
+router.delete('/:id', requirePermission('feedback:delete'), audit('feedback.delete', 'Feedback'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const feedback = await Feedback.findByIdAndDelete(id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid feedback ID'
+      });
+    }
+
+    const feedback = await Feedback.softDeleteById(id, req.user.userId);
 
     if (!feedback) {
       return res.status(404).json({
@@ -148,10 +157,11 @@ router.delete('/:id', async (req, res, next) => {
         message: 'Feedback not found'
       });
     }
+    res.locals.audit = { metadata: { trashed: true } };
 
     res.json({
       success: true,
-      message: 'Feedback deleted successfully',
+      message: 'Feedback moved to trash',
       data: { deletedId: id }
     });
   } catch (error) {
@@ -161,8 +171,8 @@ router.delete('/:id', async (req, res, next) => {
 
 // @route   GET /api/feedback/stats/summary
 // @desc    Get feedback statistics summary
-// @access  Private (Admin only)
-router.get('/stats/summary', async (req, res, next) => {
+// @access  Private (feedback:read)
+router.get('/stats/summary', requirePermission('feedback:read'), async (req, res, next) => {
   try {
     const { days = 30 } = req.query;
     const startDate = new Date();
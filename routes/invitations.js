@@ -0,0 +1,156 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const { authMiddleware, superAdminMiddleware } = require('../middleware/auth');
+const { STAFF_ROLES } = require('../config/permissions');
+const { signInvitationToken } = require('../utils/tokens');
+const { buildAppLink } = require('../utils/mailer');
+const { sendInvitationEmail } = require('../utils/emails');
+const { audit } = require('../middleware/audit');
+const router = express.Router();
+
+const INVITATION_EXPIRE_DAYS = parseInt(process.env.INVITATION_EXPIRE_DAYS, 10) || 7;
+
+// Only super admins manage invitations
+router.use(authMiddleware);
+router.use(superAdminMiddleware);
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+  }
+  next();
+};
+
+// @route   POST /api/admin/invitations
+// @desc    Invite a new staff member with a preassigned role
+// @access  Private (Super admin only)
+router.post('/', audit('invitation.create', 'Invitation'), [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('role').isIn(STAFF_ROLES).withMessage('Invalid role specified')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { email, role } = req.body;
+
+    const existingUser = await User.findByEmail(email);
+    if (existingUser) {
+      return res.status(409).json({ success: false, message: 'User already exists with this email' });
+    }
+
+    const pendingInvitation = await Invitation.findPendingForEmail(email);
+    if (pendingInvitation) {
+      return res.status(409).json({
+        success: false,
+        message: 'A pending invitation already exists for this email. Revoke it before sending a new one.'
+      });
+    }
+
+    const invitation = new Invitation({
+      email,
+      role,
+      invitedBy: req.user.userId,
+      expiresAt: new Date(Date.now() + INVITATION_EXPIRE_DAYS * 24 * 60 * 60 * 1000)
+    });
+    await invitation.save();
+    res.locals.audit = { targetId: invitation._id, metadata: { email, role } };
+
+    const token = signInvitationToken(invitation);
+
+    try {
+      await sendInvitationEmail(invitation, req.user, token);
+    } catch (mailError) {
+      console.error('Invitation email error:', mailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${invitation.email}`,
+      data: {
+        invitation,
+        // Returned so the link can also be shared manually if email delivery fails
+        inviteLink: buildAppLink('/accept-invite', { token })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/invitations
+// @desc    List invitations with pagination and status filter
+// @access  Private (Super admin only)
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('status').optional().isIn(['pending', 'accepted', 'revoked', 'expired', 'all'])
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status = 'all' } = req.query;
+
+    const filter = Invitation.statusFilter(status);
+    const skip = (page - 1) * limit;
+
+    const [invitations, total] = await Promise.all([
+      Invitation.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('invitedBy', 'name email')
+        .populate('acceptedUser', 'name email'),
+      Invitation.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        invitations,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalInvitations: total
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/admin/invitations/:id
+// @desc    Revoke a pending invitation
+// @access  Private (Super admin only)
+router.delete('/:id', audit('invitation.revoke', 'Invitation'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid invitation ID' });
+    }
+
+    const invitation = await Invitation.findById(id);
+    if (!invitation) {
+      return res.status(404).json({ success: false, message: 'Invitation not found' });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({ success: false, message: `Invitation is already ${invitation.status}` });
+    }
+
+    invitation.revokedAt = new Date();
+    invitation.revokedBy = req.user.userId;
+    await invitation.save();
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully',
+      data: { invitation }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
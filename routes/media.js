@@ -0,0 +1,232 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { body, query, validationResult } = require('express-validator');
+const Media = require('../models/Media');
+const {
+  authMiddleware,
+  staffMiddleware,
+  requirePermission
+} = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { IMAGE_FORMATS } = require('../utils/images');
+const { storeImage, deleteMedia } = require('../utils/media');
+const router = express.Router();
+
+// Apply authentication and staff middleware to all routes
+router.use(authMiddleware);
+router.use(staffMiddleware);
+
+const MAX_UPLOAD_MB = parseInt(process.env.MEDIA_MAX_UPLOAD_MB, 10) || 10;
+const ALLOWED_TYPES = Object.keys(IMAGE_FORMATS);
+
+// Uploads are kept in memory: they are validated and resized before anything is stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES.includes(file.mimetype)) {
+      req.fileValidationError = `Unsupported file type. Allowed types: ${ALLOWED_TYPES.join(', ')}`;
+      return cb(null, false);
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+// Runs multer and answers its errors with 400/413 instead of passing them on
+const handleUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return error.code === 'LIMIT_FILE_SIZE'
+        ? res.status(413).json({ success: false, message: `File is too large. Maximum size is ${MAX_UPLOAD_MB} MB.` })
+        : res.status(400).json({ success: false, message: 'Upload a single image in the "file" field.' });
+    }
+    if (error) return next(error);
+
+    if (req.fileValidationError) {
+      return res.status(400).json({ success: false, message: req.fileValidationError });
+    }
+    next();
+  });
+};
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+  }
+  next();
+};
+
+const validateObjectId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ success: false, message: 'Invalid media ID' });
+  }
+  next();
+};
+
+const validateMediaFields = [
+  body('title').optional().trim().isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+  body('alt').optional().trim().isLength({ max: 250 }).withMessage('Alt text cannot exceed 250 characters'),
+  body('credit').optional().trim().isLength({ max: 200 }).withMessage('Credit cannot exceed 200 characters')
+];
+
+// Ownership check for media:update:own
+const ownsMedia = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return false;
+  const media = await Media.findById(req.params.id).select('uploadedBy').lean();
+  return !!media && String(media.uploadedBy) === String(req.user.userId);
+};
+
+// @route   GET /api/admin/media
+// @desc    Browse the media library (?search=text, ?type=image/png, ?mine=true)
+// @access  Private (media:read)
+router.get('/', requirePermission('media:read'), [
+  query('type').optional().isIn(ALLOWED_TYPES).withMessage(`Type must be one of: ${ALLOWED_TYPES.join(', ')}`),
+  query('mine').optional().isBoolean().toBoolean(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 30, search, type, mine } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (search) filter.$text = { $search: search };
+    if (type) filter.mimeType = type;
+    if (mine) filter.uploadedBy = req.user.userId;
+
+    const sortObj = search ? { score: { $meta: 'textScore' }, createdAt: -1 } : { createdAt: -1 };
+
+    const [items, total] = await Promise.all([
+      Media.find(filter)
+        .sort(sortObj)
+        .skip(skip)
+        .limit(limit)
+        .populate('uploadedBy', 'name email')
+        .lean(),
+      Media.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/media/:id
+// @desc    Get a media item with the content using it
+// @access  Private (media:read)
+router.get('/:id', requirePermission('media:read'), validateObjectId, async (req, res, next) => {
+  try {
+    const media = await Media.findById(req.params.id).populate('uploadedBy', 'name email');
+    if (!media) {
+      return res.status(404).json({ success: false, message: 'Media not found' });
+    }
+
+    const usage = await media.findUsage();
+
+    res.json({ success: true, data: { media, usage } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/media
+// @desc    Upload an image (multipart field "file", plus title, alt and credit); renditions are generated
+// @access  Private (media:upload)
+router.post('/', requirePermission('media:upload'), audit('media.upload', 'Media'), handleUpload, validateMediaFields, handleValidationErrors, async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'Upload an image in the "file" field.' });
+    }
+
+    const { media, error } = await storeImage(req.file, req.body, req.user.userId);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    res.locals.audit = {
+      targetId: media._id,
+      metadata: { originalName: media.originalName, size: media.size, mimeType: media.mimeType }
+    };
+
+    res.status(201).json({
+      success: true,
+      message: 'Image uploaded successfully',
+      data: { media }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/media/:id
+// @desc    Update title, alt text and credit
+// @access  Private (media:update, or media:update:own for the uploader)
+router.put('/:id', requirePermission('media:update', { isOwner: ownsMedia }), audit('media.update', 'Media'), validateObjectId, validateMediaFields, handleValidationErrors, async (req, res, next) => {
+  try {
+    const media = await Media.findById(req.params.id);
+    if (!media) {
+      return res.status(404).json({ success: false, message: 'Media not found' });
+    }
+
+    const before = media.toObject();
+    ['title', 'alt', 'credit'].forEach(field => {
+      if (req.body[field] !== undefined) media.set(field, req.body[field]);
+    });
+    await media.save();
+    res.locals.audit = { before, after: media };
+
+    res.json({
+      success: true,
+      message: 'Media updated successfully',
+      data: { media }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/admin/media/:id
+// @desc    Delete a media item and its files; refused while any content (trash included) uses it
+// @access  Private (media:delete)
+router.delete('/:id', requirePermission('media:delete'), audit('media.delete', 'Media'), validateObjectId, async (req, res, next) => {
+  try {
+    const media = await Media.findById(req.params.id);
+    if (!media) {
+      return res.status(404).json({ success: false, message: 'Media not found' });
+    }
+
+    const usage = await media.findUsage();
+    if (usage.length) {
+      return res.status(409).json({
+        success: false,
+        message: `Media is used by ${usage.length} item(s). Replace the image there first.`,
+        data: { usage }
+      });
+    }
+
+    await deleteMedia(media);
+    res.locals.audit = { before: media };
+
+    res.json({
+      success: true,
+      message: 'Media deleted successfully',
+      data: { deletedId: req.params.id }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
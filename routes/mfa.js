@@ -0,0 +1,351 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { authMiddleware, sessionOnlyMiddleware } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { recordAudit } = require('../utils/audit');
+const { verifyLoginStepToken, completeLogin } = require('../utils/tokens');
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpAuthUrl,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  isMfaRequiredForRole
+} = require('../utils/mfa');
+const router = express.Router();
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+  }
+  next();
+};
+
+// Enrollment is reachable either with a normal session or with the
+// "mfa_setup" token handed out at login when the user's role requires 2FA
+const setupAuthMiddleware = (req, res, next) => {
+  if (!req.body.mfaToken) {
+    return authMiddleware(req, res, (error) => (error ? next(error) : sessionOnlyMiddleware(req, res, next)));
+  }
+
+  const decoded = verifyLoginStepToken(req.body.mfaToken, 'mfa_setup');
+  if (!decoded) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired two-factor token. Please login again.'
+    });
+  }
+
+  req.user = { userId: decoded.userId, pendingSetup: true };
+  next();
+};
+
+// Users arriving with a setup token have not passed authMiddleware's account checks yet
+const checkPendingSetupUser = (req, res, user) => {
+  if (!req.user.pendingSetup) return true;
+
+  if (user.isLocked) {
+    res.status(423).json({ success: false, message: 'Account is temporarily locked.' });
+    return false;
+  }
+  if (user.status !== 'active') {
+    res.status(403).json({ success: false, message: 'Your account is not active. Please contact support.' });
+    return false;
+  }
+  return true;
+};
+
+const validateSecondFactor = [
+  body('code').optional().trim().matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+  body('recoveryCode').optional().trim().notEmpty().withMessage('Recovery code cannot be empty'),
+  body().custom(value => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('A two-factor code or recovery code is required');
+    }
+    return true;
+  })
+];
+
+// @route   POST /api/auth/mfa/verify
+// @desc    Second login step: exchange an "mfa pending" token and a code for a session
+// @access  Public
+router.post('/verify', [
+  body('mfaToken').notEmpty().withMessage('Two-factor token is required'),
+  ...validateSecondFactor
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    const decoded = verifyLoginStepToken(mfaToken, 'mfa_login');
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired two-factor token. Please login again.'
+      });
+    }
+
+    const user = await User.findById(decoded.userId).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    }
+
+    if (user.isLocked) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account is temporarily locked due to too many failed login attempts.'
+      });
+    }
+
+    if (user.status !== 'active') {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account is not active. Please contact support.'
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const method = user.verifySecondFactor({ code, recoveryCode });
+    if (!method) {
+      await user.incLoginAttempts();
+      await recordAudit(req, {
+        actor: user,
+        action: 'auth.login_failed',
+        targetType: 'User',
+        targetId: user._id,
+        metadata: { reason: 'invalid_second_factor' }
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const data = await completeLogin(user, req);
+    if (method === 'recovery') {
+      data.recoveryCodesRemaining = user.twoFactor.recoveryCodes.length;
+    }
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/auth/mfa/status
+// @desc    Get two-factor status for the logged-in admin
+// @access  Private
+router.get('/status', authMiddleware, sessionOnlyMiddleware, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select('+twoFactor.recoveryCodes');
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        required: isMfaRequiredForRole(user.role),
+        recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/mfa/setup
+// @desc    Start enrollment: generate a secret and provisioning URI for the QR code
+// @access  Private (or "mfa_setup" token)
+router.post('/setup', setupAuthMiddleware, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (!checkPendingSetupUser(req, res, user)) return;
+
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: buildOtpAuthUrl(secret, user.email)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/mfa/enable
+// @desc    Confirm enrollment with a code and receive one-time recovery codes
+// @access  Private (or "mfa_setup" token)
+router.post('/enable', setupAuthMiddleware, audit('auth.mfa_enable', 'User'), [
+  body('code').trim().matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select('+twoFactor.pendingSecret');
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (!checkPendingSetupUser(req, res, user)) return;
+
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup before enabling it'
+      });
+    }
+
+    const step = verifyTotp(decryptSecret(user.twoFactor.pendingSecret), req.body.code);
+    if (step === null) {
+      if (req.user.pendingSetup) {
+        await user.incLoginAttempts();
+      }
+      return res.status(400).json({ success: false, message: 'Invalid two-factor code' });
+    }
+
+    res.locals.audit = { targetId: user._id };
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+
+    let data = {};
+    if (req.user.pendingSetup) {
+      // Users enrolling during login get their session straight away
+      data = await completeLogin(user, req);
+    } else {
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { ...data, recoveryCodes: codes }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/mfa/recovery-codes
+// @desc    Replace all recovery codes (requires a current code)
+// @access  Private
+router.post('/recovery-codes', authMiddleware, sessionOnlyMiddleware, audit('auth.mfa_recovery_codes', 'User'), [
+  body('code').trim().matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!user.verifySecondFactor({ code: req.body.code })) {
+      await user.incLoginAttempts();
+      return res.status(401).json({ success: false, message: 'Invalid two-factor code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+    res.locals.audit = { targetId: user._id };
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/mfa/disable
+// @desc    Turn off two-factor authentication (requires password and a code)
+// @access  Private
+router.post('/disable', authMiddleware, sessionOnlyMiddleware, audit('auth.mfa_disable', 'User'), [
+  body('password').notEmpty().withMessage('Password is required'),
+  ...validateSecondFactor
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user.userId).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (isMfaRequiredForRole(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is mandatory for your role'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid || !user.verifySecondFactor({ code, recoveryCode })) {
+      await user.incLoginAttempts();
+      return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    }
+
+    user.set('twoFactor', { enabled: false });
+    await user.save();
+    res.locals.audit = { targetId: user._id };
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,24 +1,106 @@
 const express = require('express');
 const mongoose = require('mongoose');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const News = require('../models/News');
-const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+const NewsRevision = require('../models/NewsRevision');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const Media = require('../models/Media');
+const EditLock = require('../models/EditLock');
+const {
+  authMiddleware,
+  staffMiddleware,
+  requirePermission,
+  ownsDraft,
+  requireVerifiedEmailToPublish
+} = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { requireVersion } = require('../middleware/concurrency');
+const { diffDocuments } = require('../utils/audit');
+const { STATUSES, WORKFLOW_QUEUES, getTransition } = require('../config/workflow');
+const { LANGUAGES, TEXT_SEARCH_LANGUAGES, isLanguage, requestedLanguage } = require('../config/languages');
+const { buildTranslation, translationOverview, checkLanguageChange } = require('../utils/translations');
+const { RELATED_TYPES, MAX_RELATED, setRelated, listRelated, suggestRelated } = require('../utils/related');
+const { collectionNavigation } = require('../utils/collections');
+const { CONTENT_FORMATS, validateBlocks, renderBlocks, sanitizeContentHtml, htmlToText, readingTimeMinutes } = require('../utils/content');
+const { MAX_SLUG_LENGTH } = require('../utils/slug');
+const { EDIT_LOCK_TTL_MS, setVersionHeaders, versionMatches, sendVersionConflict } = require('../utils/concurrency');
+const { checkTransition, applyTransition, findReviewer } = require('../utils/workflow');
 const router = express.Router();
 
-// Apply authentication and admin middleware to all routes
+// Apply authentication and staff middleware to all routes;
+// individual routes check their own permissions
 router.use(authMiddleware);
-router.use(adminMiddleware);
+router.use(staffMiddleware);
+
+// Saving with status "published" needs the publish permission (and a verified email, if enforced)
+const publishGuards = [
+  requirePermission('news:publish', { when: req => req.body.status === 'published' }),
+  requireVerifiedEmailToPublish
+];
 
 // --- Validation Middleware ---
+const validateBlockContent = async (blocks) => {
+  const errors = await validateBlocks(blocks);
+  if (errors.length) throw new Error(errors.join('; '));
+  return true;
+};
+
+// Required for block content, and checked whenever sent: an update to a block article
+// may leave out contentFormat, and the blocks are rendered on save either way
+const validateBlocksField = body('blocks')
+  .if((value, { req }) => req.body.contentFormat === 'blocks' || value !== undefined)
+  .custom(validateBlockContent);
+
 const validateNews = [
   body('title').trim().isLength({ min: 5, max: 200 }).withMessage('Title must be between 5 and 200 characters'),
   body('summary').trim().isLength({ min: 10, max: 500 }).withMessage('Summary must be between 10 and 500 characters'),
-  body('content').trim().isLength({ min: 50 }).withMessage('Content must be at least 50 characters long'),
-  body('category').isIn(['Politics', 'Technology', 'Sports', 'Entertainment', 'Business', 'Health']).withMessage('Invalid category'),
+  body('contentFormat').optional().isIn(CONTENT_FORMATS).withMessage(`Content format must be one of: ${CONTENT_FORMATS.join(', ')}`),
+  body('content').if(body('contentFormat').not().equals('blocks')).trim().isLength({ min: 50 }).withMessage('Content must be at least 50 characters long'),
+  validateBlocksField,
+  body('category').custom(async value => {
+    if (!await Category.isActiveName('news', value)) throw new Error('Invalid category');
+    return true;
+  }),
   body('imageUrl').optional({ checkFalsy: true }).isURL().withMessage('Image URL must be a valid URL'),
-  body('status').optional().isIn(['published', 'draft']).withMessage('Status must be either published or draft'),
+  body('status').optional().isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+  body('language').optional().isIn(LANGUAGES).withMessage(`Language must be one of: ${LANGUAGES.join(', ')}`),
+  body('slug').optional({ checkFalsy: true }).trim().isLength({ max: MAX_SLUG_LENGTH }).withMessage(`Slug cannot exceed ${MAX_SLUG_LENGTH} characters`),
+  body('imageMedia').optional({ nullable: true }).isMongoId().withMessage('Invalid media ID').bail().custom(async value => {
+    if (!await Media.exists({ _id: value })) throw new Error('Media not found');
+    return true;
+  }),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('tags.*').isString().trim().isLength({ max: Tag.MAX_TAG_LENGTH }).withMessage(`Tags cannot exceed ${Tag.MAX_TAG_LENGTH} characters`),
+  body('seo.metaTitle').optional({ checkFalsy: true }).trim().isLength({ max: 70 }).withMessage('Meta title cannot exceed 70 characters'),
+  body('seo.metaDescription').optional({ checkFalsy: true }).trim().isLength({ max: 160 }).withMessage('Meta description cannot exceed 160 characters'),
+  body('seo.canonicalUrl').optional({ checkFalsy: true }).isURL().withMessage('Canonical URL must be a valid URL'),
+  body('seo.ogImage').optional({ checkFalsy: true }).isURL().withMessage('Open Graph image must be a valid URL')
+];
+
+// Fields managed by the server (ownership, revisions, versions, workflow, scheduling, counters)
+// or by dedicated routes (featured, breaking, trash) that a request body cannot set
+const PROTECTED_FIELDS = [
+  'createdBy', 'revision', '__v', 'version', 'status', 'contentText', 'translationOf', 'textLanguage',
+  'assignedReviewer', 'approvedBy', 'approvedAt', 'archivedAt', 'workflowHistory',
+  'publishedAt', 'scheduledPublishAt', 'scheduledUnpublishAt', 'scheduledBy', 'slugHistory',
+  'breaking', 'breakingAlertedAt', 'related', 'featured', 'views', 'shares', 'deletedAt', 'deletedBy'
 ];
 
+const editableFields = (data) => {
+  const fields = { ...data };
+  PROTECTED_FIELDS.forEach(field => delete fields[field]);
+  return fields;
+};
+
+const sendTransitionError = (res, error) => {
+  return res.status(error.status).json({
+    success: false,
+    message: error.message,
+    data: error.allowed ? { allowedStatuses: error.allowed } : undefined
+  });
+};
+
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -30,11 +112,18 @@ const handleValidationErrors = (req, res, next) => {
 // --- ADMIN CRUD ROUTES ---
 
 // GET all news articles (including drafts)
-router.get('/', async (req, res, next) => {
+router.get('/', requirePermission('news:read'), async (req, res, next) => {
   try {
-    const { page = 1, limit = 20, category, status, search, sort = 'createdAt', order = 'desc' } = req.query;
+    const { page = 1, limit = 20, category, tag, status, search, language, sort = 'createdAt', order = 'desc' } = req.query;
     let queryOptions = {};
 
+    // ?language= lists items written in that language; otherwise ?lang= / Accept-Language
+    // shows each source article in the requested language where a translation exists
+    const lang = language ? null : requestedLanguage(req);
+    if (language) {
+      queryOptions.language = language;
+    }
+
     // Admin can see all statuses
     if (status && status !== 'all') {
       queryOptions.status = status;
@@ -44,17 +133,31 @@ router.get('/', async (req, res, next) => {
       queryOptions.category = category;
     }
 
-    if (search) {
+    if (tag) {
+      queryOptions.tags = Tag.normalizeTag(tag);
+    }
+
+    // Accept-Language only localizes; searching in one language takes an explicit ?lang=
+    if (search && lang && isLanguage(req.query.lang)) {
+      // Full-text search among articles written in the requested language
+      queryOptions.$text = { $search: search, $language: TEXT_SEARCH_LANGUAGES[lang] };
+      queryOptions.language = lang;
+    } else if (search) {
       queryOptions.$or = [
         { title: { $regex: search, $options: 'i' } },
         { summary: { $regex: search, $options: 'i' } }
       ];
     }
 
+    const localize = lang && !search;
+    if (localize) {
+      queryOptions.translationOf = null;
+    }
+
     const skip = (page - 1) * limit;
     const sortObj = { [sort]: order === 'desc' ? -1 : 1 };
 
-    const [articles, total] = await Promise.all([
+    let [articles, total] = await Promise.all([
       News.find(queryOptions)
         .sort(sortObj)
         .skip(skip)
@@ -64,9 +167,234 @@ router.get('/', async (req, res, next) => {
       News.countDocuments(queryOptions)
     ]);
 
+    if (localize) {
+      articles = await News.localize(articles, lang, queryOptions.status ? { status: queryOptions.status } : {});
+    }
+    res.vary('Accept-Language');
+
+    res.json({
+      success: true,
+      data: {
+        articles,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalArticles: total
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET an article by its current or a former slug; former slugs report the current one to redirect to
+router.get('/slug/:slug', requirePermission('news:read'), async (req, res, next) => {
+  try {
+    const article = await News.findBySlug(req.params.slug)
+      .populate('createdBy', 'name email');
+
+    if (!article) {
+      return res.status(404).json({ success: false, message: 'News article not found' });
+    }
+
+    const redirect = article.slug !== req.params.slug.toLowerCase();
+    setVersionHeaders(res, article);
+    res.json({
+      success: true,
+      data: {
+        article,
+        collections: await collectionNavigation('News', article._id),
+        redirect,
+        ...(redirect && { canonicalSlug: article.slug })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// --- SCHEDULING ---
+
+// GET upcoming scheduled publishing/unpublishing (?type=publish|unpublish)
+router.get('/scheduled', requirePermission('news:read'), [
+  query('type').optional().isIn(['publish', 'unpublish']).withMessage('Type must be publish or unpublish')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { type, page = 1, limit = 20 } = req.query;
+    const filter = type
+      ? { [type === 'publish' ? 'scheduledPublishAt' : 'scheduledUnpublishAt']: { $ne: null } }
+      : { $or: [{ scheduledPublishAt: { $ne: null } }, { scheduledUnpublishAt: { $ne: null } }] };
+    const skip = (page - 1) * limit;
+
+    const [articles, total] = await Promise.all([
+      News.find(filter)
+        .select('title status scheduledPublishAt scheduledUnpublishAt scheduledBy publishedAt createdBy')
+        .sort({ scheduledPublishAt: 1, scheduledUnpublishAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('scheduledBy', 'name email')
+        .lean(),
+      News.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        articles,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalArticles: total
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT set the publish and/or unpublish time of an article (null clears one)
+router.put('/:id/schedule', requirePermission('news:publish'), audit('news.schedule', 'News'), [
+  body('publishAt').optional({ nullable: true }).isISO8601().withMessage('publishAt must be an ISO 8601 date'),
+  body('unpublishAt').optional({ nullable: true }).isISO8601().withMessage('unpublishAt must be an ISO 8601 date'),
+  body().custom(value => 'publishAt' in value || 'unpublishAt' in value).withMessage('Provide publishAt and/or unpublishAt')
+], handleValidationErrors, requireVerifiedEmailToPublish, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid article ID' });
+    }
+
+    const article = await News.findById(id);
+    if (!article) {
+      return res.status(404).json({ success: false, message: 'Article not found' });
+    }
+
+    const now = new Date();
+    const publishAt = 'publishAt' in req.body
+      ? (req.body.publishAt ? new Date(req.body.publishAt) : undefined)
+      : article.scheduledPublishAt;
+    const unpublishAt = 'unpublishAt' in req.body
+      ? (req.body.unpublishAt ? new Date(req.body.unpublishAt) : undefined)
+      : article.scheduledUnpublishAt;
+
+    if ((req.body.publishAt && publishAt <= now) || (req.body.unpublishAt && unpublishAt <= now)) {
+      return res.status(400).json({ success: false, message: 'Scheduled times must be in the future' });
+    }
+    if (publishAt && article.status === 'published') {
+      return res.status(400).json({ success: false, message: 'Article is already published' });
+    }
+    // The scheduler can only publish along the workflow, so e.g. drafts must be approved first
+    if (req.body.publishAt && !getTransition(article.status, 'published')) {
+      return res.status(400).json({
+        success: false,
+        message: `Articles with status ${article.status} cannot be scheduled for publishing`
+      });
+    }
+    if (unpublishAt && article.status !== 'published' && !publishAt) {
+      return res.status(400).json({ success: false, message: 'Only published or scheduled articles can be scheduled for unpublishing' });
+    }
+    if (publishAt && unpublishAt && unpublishAt <= publishAt) {
+      return res.status(400).json({ success: false, message: 'unpublishAt must be after publishAt' });
+    }
+
+    res.locals.audit = {
+      before: { scheduledPublishAt: article.scheduledPublishAt, scheduledUnpublishAt: article.scheduledUnpublishAt },
+      after: { scheduledPublishAt: publishAt, scheduledUnpublishAt: unpublishAt }
+    };
+    article.scheduledPublishAt = publishAt;
+    article.scheduledUnpublishAt = unpublishAt;
+    article.scheduledBy = req.user.userId;
+    await article.save();
+
+    res.json({
+      success: true,
+      message: 'Schedule updated successfully',
+      data: {
+        schedule: {
+          publishAt: article.scheduledPublishAt || null,
+          unpublishAt: article.scheduledUnpublishAt || null,
+          status: article.status
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE cancel the schedule of an article (?type=publish|unpublish, both by default)
+router.delete('/:id/schedule', requirePermission('news:publish'), audit('news.schedule_cancel', 'News'), [
+  query('type').optional().isIn(['publish', 'unpublish']).withMessage('Type must be publish or unpublish')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { type } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid article ID' });
+    }
+
+    const article = await News.findById(id);
+    if (!article) {
+      return res.status(404).json({ success: false, message: 'Article not found' });
+    }
+
+    res.locals.audit = {
+      before: { scheduledPublishAt: article.scheduledPublishAt, scheduledUnpublishAt: article.scheduledUnpublishAt }
+    };
+    if (type !== 'unpublish') article.scheduledPublishAt = undefined;
+    if (type !== 'publish') article.scheduledUnpublishAt = undefined;
+    await article.save();
+
+    res.json({
+      success: true,
+      message: 'Schedule cancelled successfully',
+      data: {
+        schedule: {
+          publishAt: article.scheduledPublishAt || null,
+          unpublishAt: article.scheduledUnpublishAt || null,
+          status: article.status
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET a workflow queue, e.g. /queue/awaiting-my-review (see WORKFLOW_QUEUES)
+router.get('/queue/:queue', requirePermission('news:read'), async (req, res, next) => {
+  try {
+    const buildFilter = WORKFLOW_QUEUES[req.params.queue];
+    if (!buildFilter) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown queue. Available queues: ${Object.keys(WORKFLOW_QUEUES).join(', ')}`
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const filter = buildFilter(req.user.userId);
+    const skip = (page - 1) * limit;
+
+    const [articles, total] = await Promise.all([
+      News.find(filter)
+        .sort({ updatedAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('createdBy', 'name email')
+        .populate('assignedReviewer', 'name email')
+        .lean(),
+      News.countDocuments(filter)
+    ]);
+
     res.json({
       success: true,
       data: {
+        queue: req.params.queue,
         articles,
         pagination: {
           currentPage: parseInt(page),
@@ -80,8 +408,268 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+// --- TRANSLATIONS ---
+
+const TRANSLATION_SUMMARY_FIELDS = 'title slug language status translationOf publishedAt updatedAt createdBy';
+
+// GET source articles not yet translated into ?language= (optionally only those with ?status=)
+router.get('/translations/missing', requirePermission('news:read'), [
+  query('language').isIn(LANGUAGES).withMessage(`Language must be one of: ${LANGUAGES.join(', ')}`),
+  query('status').optional().isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { language, status, page = 1, limit = 20 } = req.query;
+
+    const { items, total } = await News.findMissingTranslations(language, {
+      filter: status ? { status } : {},
+      page,
+      limit,
+      select: { title: 1, slug: 1, language: 1, status: 1, category: 1, publishedAt: 1, createdAt: 1 }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        language,
+        articles: items,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalArticles: total
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET the source of an article (or of the translation given) with all its translations
+router.get('/:id/translations', requirePermission('news:read'), async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid news ID' });
+    }
+
+    const source = await News.findSource(req.params.id);
+    if (!source) {
+      return res.status(404).json({ success: false, message: 'News article not found' });
+    }
+
+    const { translations, missingLanguages } = await translationOverview(News, source, TRANSLATION_SUMMARY_FIELDS);
+
+    res.json({
+      success: true,
+      data: {
+        source: {
+          _id: source._id,
+          title: source.title,
+          slug: source.slug,
+          language: source.language,
+          status: source.status
+        },
+        translations,
+        missingLanguages
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST create a translation of an article as a draft; category, tags and image come from the source
+router.post('/:id/translations', requirePermission('news:create'), audit('news.translate', 'News'), [
+  body('language').isIn(LANGUAGES).withMessage(`Language must be one of: ${LANGUAGES.join(', ')}`),
+  body('title').trim().isLength({ min: 5, max: 200 }).withMessage('Title must be between 5 and 200 characters'),
+  body('summary').trim().isLength({ min: 10, max: 500 }).withMessage('Summary must be between 10 and 500 characters'),
+  body('contentFormat').optional().isIn(CONTENT_FORMATS).withMessage(`Content format must be one of: ${CONTENT_FORMATS.join(', ')}`),
+  body('content').if(body('contentFormat').not().equals('blocks')).trim().isLength({ min: 50 }).withMessage('Content must be at least 50 characters long'),
+  validateBlocksField,
+  body('slug').optional({ checkFalsy: true }).trim().isLength({ max: MAX_SLUG_LENGTH }).withMessage(`Slug cannot exceed ${MAX_SLUG_LENGTH} characters`),
+  body('seo.metaTitle').optional({ checkFalsy: true }).trim().isLength({ max: 70 }).withMessage('Meta title cannot exceed 70 characters'),
+  body('seo.metaDescription').optional({ checkFalsy: true }).trim().isLength({ max: 160 }).withMessage('Meta description cannot exceed 160 characters')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid news ID' });
+    }
+
+    const source = await News.findSource(req.params.id);
+    if (!source) {
+      return res.status(404).json({ success: false, message: 'News article not found' });
+    }
+
+    const { language, title, summary, content, contentFormat, blocks, slug, seo } = req.body;
+    if (language === source.language) {
+      return res.status(400).json({ success: false, message: 'The source article is already in this language' });
+    }
+
+    const existing = await News.findOne({ translationOf: source._id, language }).setOptions({ withDeleted: true }).select('_id deletedAt').lean();
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: existing.deletedAt
+          ? 'A translation into this language is in the trash. Restore it instead.'
+          : 'A translation into this language already exists',
+        data: { translationId: existing._id }
+      });
+    }
+
+    const translation = buildTranslation(News, source, language, { title, summary, content, contentFormat, blocks, slug, seo }, req.user.userId);
+    await translation.trackRevision(req.user).save();
+    res.locals.audit = { targetId: translation._id, after: translation, metadata: { sourceId: source._id, language } };
+
+    res.status(201).json({
+      success: true,
+      message: 'Translation created successfully',
+      data: { article: translation }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// --- RELATED CONTENT ---
+
+// GET the related articles and videos of an article, in order
+router.get('/:id/related', requirePermission('news:read'), async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid news ID' });
+    }
+
+    const article = await News.findById(req.params.id).select('related');
+    if (!article) {
+      return res.status(404).json({ success: false, message: 'News article not found' });
+    }
+
+    res.json({ success: true, data: { related: await listRelated(article) } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT replace the ordered related items ([{ type, id }]) of a published item; each linked item links back
+router.put('/:id/related', requirePermission('news:update'), audit('news.related', 'News'), [
+  body('items').isArray({ max: MAX_RELATED }).withMessage(`items must be an array of at most ${MAX_RELATED} related items`),
+  body('items.*.type').isIn(Object.keys(RELATED_TYPES)).withMessage(`Related item type must be one of: ${Object.keys(RELATED_TYPES).join(', ')}`),
+  body('items.*.id').isMongoId().withMessage('Invalid related item ID')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid news ID' });
+    }
+
+    const article = await News.findById(req.params.id).select('status related');
+    if (!article) {
+      return res.status(404).json({ success: false, message: 'News article not found' });
+    }
+
+    const before = article.related.map(link => ({ model: link.model, item: link.item }));
+    const result = await setRelated(article, req.body.items, req.user);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+    res.locals.audit = { before: { related: before }, after: { related: result.related } };
+
+    article.related = result.related;
+    res.json({
+      success: true,
+      message: 'Related content updated',
+      data: { related: await listRelated(article) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET suggested items to relate, ranked by shared tags, category and text similarity
+router.get('/:id/related/suggestions', requirePermission('news:read'), [
+  query('type').optional().isIn(Object.keys(RELATED_TYPES)).withMessage(`Type must be one of: ${Object.keys(RELATED_TYPES).join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid news ID' });
+    }
+
+    const article = await News.findById(req.params.id).select('title category tags language related');
+    if (!article) {
+      return res.status(404).json({ success: false, message: 'News article not found' });
+    }
+
+    const { type, limit = 10 } = req.query;
+    const suggestions = await suggestRelated(article, { types: type ? [type] : undefined, limit });
+    res.json({ success: true, data: { suggestions } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// --- EDIT LOCKS ---
+// Advisory only: they show who has an article open; saves are guarded by versions
+
+// GET who is currently editing an article
+router.get('/:id/lock', requirePermission('news:read'), async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid article ID' });
+    }
+
+    const lock = await EditLock.current('news', req.params.id);
+    res.json({ success: true, data: { locked: !!lock, lock } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT take or renew the edit lock; clients renew it while the editor is open.
+// Another user's lock is reported with 409 unless `force` is set to take it over.
+router.put('/:id/lock', requirePermission('news:update', { isOwner: ownsDraft(News) }), [
+  body('force').optional().isBoolean().withMessage('force must be a boolean')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid article ID' });
+    }
+    if (!await News.exists({ _id: req.params.id })) {
+      return res.status(404).json({ success: false, message: 'Article not found' });
+    }
+
+    const force = req.body.force === true || req.body.force === 'true';
+    const { acquired, lock } = await EditLock.acquire('news', req.params.id, req.user.userId, EDIT_LOCK_TTL_MS, { force });
+    if (!acquired) {
+      return res.status(409).json({
+        success: false,
+        message: lock && lock.user ? `${lock.user.name} is currently editing this article` : 'Someone else is currently editing this article',
+        data: { lock }
+      });
+    }
+
+    res.json({ success: true, data: { lock } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE release your edit lock
+router.delete('/:id/lock', requirePermission('news:read'), async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid article ID' });
+    }
+
+    await EditLock.release('news', req.params.id, req.user.userId);
+    res.json({ success: true, message: 'Edit lock released' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // GET a single news article by ID (including drafts)
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', requirePermission('news:read'), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -89,30 +677,244 @@ router.get('/:id', async (req, res, next) => {
       return res.status(400).json({ success: false, message: 'Invalid news ID' });
     }
 
-    const article = await News.findById(id)
+    const found = await News.findById(id)
       .populate('createdBy', 'name email')
       .lean();
     
-    if (!article) {
+    if (!found) {
       return res.status(404).json({ success: false, message: 'News article not found' });
     }
 
-    res.json({ success: true, data: { article } });
+    // This is the editing view, so it always answers with the requested item itself.
+    // With ?lang= / Accept-Language its translation into that language (or the fallback) comes alongside.
+    const lang = requestedLanguage(req);
+    const [localized] = lang ? await News.localize([found], lang) : [];
+    res.vary('Accept-Language');
+    setVersionHeaders(res, found);
+
+    // Series and playlists the item belongs to, with its part number and neighbours
+    const collections = await collectionNavigation('News', found._id);
+
+    res.json({
+      success: true,
+      data: {
+        article: found,
+        version: found.__v || 0,
+        ...(localized && { localized }),
+        collections
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// --- REVISION HISTORY ---
+
+const revisionNumber = (value) => parseInt(value, 10);
+
+// GET revision list of an article (newest first, without snapshots)
+router.get('/:id/revisions', requirePermission('news:read'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid article ID' });
+    }
+
+    const article = await News.findById(id).select('revision').lean();
+    if (!article) {
+      return res.status(404).json({ success: false, message: 'Article not found' });
+    }
+
+    const skip = (page - 1) * limit;
+    const [revisions, total] = await Promise.all([
+      NewsRevision.find({ article: id })
+        .select('-snapshot')
+        .sort({ number: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('author', 'name email')
+        .lean(),
+      NewsRevision.countDocuments({ article: id })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        currentRevision: article.revision,
+        revisions,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalRevisions: total
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET field-level diff between two revisions (?from=&to=, "to" defaults to the latest)
+router.get('/:id/revisions/diff', requirePermission('news:read'), [
+  query('from').isInt({ min: 1 }).withMessage('from must be a revision number'),
+  query('to').optional().isInt({ min: 1 }).withMessage('to must be a revision number')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid article ID' });
+    }
+
+    const article = await News.findById(id).select('revision').lean();
+    if (!article) {
+      return res.status(404).json({ success: false, message: 'Article not found' });
+    }
+
+    const from = revisionNumber(req.query.from);
+    const to = req.query.to ? revisionNumber(req.query.to) : article.revision;
+
+    const revisions = await NewsRevision.find({ article: id, number: { $in: [from, to] } }).lean();
+    const fromRevision = revisions.find(revision => revision.number === from);
+    const toRevision = revisions.find(revision => revision.number === to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        diff: diffDocuments(fromRevision.snapshot, toRevision.snapshot)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET a single revision with its full snapshot
+router.get('/:id/revisions/:number', requirePermission('news:read'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const number = revisionNumber(req.params.number);
+
+    if (!mongoose.Types.ObjectId.isValid(id) || !(number > 0)) {
+      return res.status(400).json({ success: false, message: 'Invalid article ID or revision number' });
+    }
+
+    const revision = await NewsRevision.findOne({ article: id, number })
+      .populate('author', 'name email')
+      .lean();
+
+    if (!revision) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+
+    res.json({ success: true, data: { revision } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST restore an old revision; the article goes back to draft with the restored content as a new revision
+router.post('/:id/revisions/:number/restore', requirePermission('news:update', { isOwner: ownsDraft(News) }), audit('news.restore_revision', 'News'), requireVersion, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const number = revisionNumber(req.params.number);
+
+    if (!mongoose.Types.ObjectId.isValid(id) || !(number > 0)) {
+      return res.status(400).json({ success: false, message: 'Invalid article ID or revision number' });
+    }
+
+    const [article, revision] = await Promise.all([
+      News.findById(id),
+      NewsRevision.findOne({ article: id, number }).lean()
+    ]);
+
+    if (!article || !revision) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+    if (!versionMatches(req, article)) {
+      return sendVersionConflict(res, article, revision.snapshot);
+    }
+
+    // Going back to draft follows the workflow (e.g. unpublishing needs the publish permission)
+    if (article.status !== 'draft') {
+      const transitionError = checkTransition(req.user, 'news', article, 'draft');
+      if (transitionError) return sendTransitionError(res, transitionError);
+    }
+
+    const before = article.toObject();
+    article.applyRevisionSnapshot(revision.snapshot);
+    // The category may have been renamed or merged since this revision
+    const category = await Category.resolveName('news', revision.snapshot.category);
+    if (category) {
+      article.category = category;
+    }
+    if (article.status !== 'draft') {
+      applyTransition(article, req.user, 'draft', `Restored revision ${number}`);
+    }
+    await article.trackRevision(req.user, { restoredFrom: number }).save();
+    await article.populate('createdBy', 'name email');
+    res.locals.audit = { before, after: article, metadata: { restoredFrom: number } };
+    setVersionHeaders(res, article);
+
+    res.json({
+      success: true,
+      message: `Revision ${number} restored as a draft`,
+      data: { article }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST render content without saving: the HTML, plain text and reading time an article would get
+router.post('/preview', requirePermission('news:read'), [
+  body('contentFormat').optional().isIn(CONTENT_FORMATS).withMessage(`Content format must be one of: ${CONTENT_FORMATS.join(', ')}`),
+  body('content').if(body('contentFormat').not().equals('blocks')).isString().withMessage('Content is required'),
+  validateBlocksField
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const html = req.body.contentFormat === 'blocks'
+      ? await renderBlocks(req.body.blocks)
+      : sanitizeContentHtml(req.body.content);
+    const text = htmlToText(html);
+
+    res.json({
+      success: true,
+      data: { html, text, readingTime: readingTimeMinutes(text) }
+    });
   } catch (error) {
     next(error);
   }
 });
 
 // POST create a new article
-router.post('/', validateNews, handleValidationErrors, async (req, res, next) => {
+router.post('/', requirePermission('news:create'), audit('news.create', 'News'), publishGuards, validateNews, handleValidationErrors, async (req, res, next) => {
   try {
     const articleData = {
-      ...req.body,
+      ...editableFields(req.body),
       createdBy: req.user.userId
     };
     
+    // New articles start as drafts; any other requested status is a workflow transition
     const article = new News(articleData);
-    await article.save();
+    const { status } = req.body;
+    if (status && status !== 'draft') {
+      const transitionError = checkTransition(req.user, 'news', article, status, req.body.comment);
+      if (transitionError) return sendTransitionError(res, transitionError);
+      applyTransition(article, req.user, status, req.body.comment);
+    }
+
+    await article.trackRevision(req.user).save();
+    res.locals.audit = { targetId: article._id, after: article };
     await article.populate('createdBy', 'name email');
 
     res.status(201).json({
@@ -126,7 +928,7 @@ router.post('/', validateNews, handleValidationErrors, async (req, res, next) =>
 });
 
 // PUT update an article
-router.put('/:id', validateNews, handleValidationErrors, async (req, res, next) => {
+router.put('/:id', requirePermission('news:update', { isOwner: ownsDraft(News) }), audit('news.update', 'News'), requireVersion, publishGuards, validateNews, handleValidationErrors, async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -134,15 +936,37 @@ router.put('/:id', validateNews, handleValidationErrors, async (req, res, next)
       return res.status(400).json({ success: false, message: 'Invalid article ID' });
     }
 
-    const article = await News.findByIdAndUpdate(
-      id,
-      req.body,
-      { new: true, runValidators: true }
-    ).populate('createdBy', 'name email');
-
+    // Saved through the document (not findByIdAndUpdate) so the revision hooks run
+    const article = await News.findById(id);
     if (!article) {
       return res.status(404).json({ success: false, message: 'Article not found' });
     }
+    if (!versionMatches(req, article)) {
+      return sendVersionConflict(res, article, editableFields(req.body));
+    }
+
+    const languageError = await checkLanguageChange(article, req.body.language);
+    if (languageError) {
+      return res.status(languageError.status).json({ success: false, message: languageError.message });
+    }
+
+    // A status change in an update goes through the workflow like PATCH /:id/status
+    const { status } = req.body;
+    const changesStatus = status && status !== article.status;
+    if (changesStatus) {
+      const transitionError = checkTransition(req.user, 'news', article, status, req.body.comment);
+      if (transitionError) return sendTransitionError(res, transitionError);
+    }
+
+    const before = article.toObject();
+    article.set(editableFields(req.body));
+    if (changesStatus) {
+      applyTransition(article, req.user, status, req.body.comment);
+    }
+    await article.trackRevision(req.user).save();
+    await article.populate('createdBy', 'name email');
+    res.locals.audit = { before, after: article };
+    setVersionHeaders(res, article);
 
     res.json({
       success: true,
@@ -154,31 +978,97 @@ router.put('/:id', validateNews, handleValidationErrors, async (req, res, next)
   }
 });
 
-// PATCH update article status only
-router.patch('/:id/status', [
-  body('status').isIn(['published', 'draft']).withMessage('Invalid status')
-], handleValidationErrors, async (req, res, next) => {
+// PATCH move an article through the editorial workflow; the transition decides the permission needed
+router.patch('/:id/status', audit('news.status', 'News'), requireVersion, [
+  body('status').isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+  body('comment').optional().isString().isLength({ max: 2000 }).withMessage('Comment cannot exceed 2000 characters'),
+  body('reviewerId').optional().isMongoId().withMessage('Invalid reviewer ID')
+], handleValidationErrors, requireVerifiedEmailToPublish, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, comment, reviewerId } = req.body;
     
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ success: false, message: 'Invalid article ID' });
     }
 
-    const article = await News.findByIdAndUpdate(
-      id,
-      { status },
-      { new: true, runValidators: true }
-    ).populate('createdBy', 'name email');
+    const article = await News.findById(id);
+    if (!article) {
+      return res.status(404).json({ success: false, message: 'Article not found' });
+    }
+    if (!versionMatches(req, article)) {
+      return sendVersionConflict(res, article, { status });
+    }
+
+    const transitionError = checkTransition(req.user, 'news', article, status, comment);
+    if (transitionError) return sendTransitionError(res, transitionError);
+
+    // Authors may pick a reviewer when submitting
+    let reviewer;
+    if (reviewerId) {
+      if (status !== 'in_review') {
+        return res.status(400).json({ success: false, message: 'A reviewer can only be chosen when submitting for review' });
+      }
+      reviewer = await findReviewer(reviewerId, 'news');
+      if (!reviewer) {
+        return res.status(400).json({ success: false, message: 'Reviewer must be an active user with the news:review permission' });
+      }
+    }
+
+    const before = { status: article.status, assignedReviewer: article.assignedReviewer };
+    const action = applyTransition(article, req.user, status, comment);
+    if (reviewer) {
+      article.assignedReviewer = reviewer._id;
+    }
+    await article.save();
+    await article.populate('createdBy', 'name email');
+    res.locals.audit = {
+      before,
+      after: { status: article.status, assignedReviewer: article.assignedReviewer },
+      metadata: { action, comment }
+    };
+    setVersionHeaders(res, article);
 
+    res.json({
+      success: true,
+      message: `Article moved to ${status.replace('_', ' ')}`,
+      data: { article }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT assign (or clear, with reviewerId null) the reviewer of an article
+router.put('/:id/reviewer', requirePermission('news:review'), audit('news.assign_reviewer', 'News'), [
+  body('reviewerId').custom(value => value === null || mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid reviewer ID')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reviewerId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid article ID' });
+    }
+
+    const article = await News.findById(id);
     if (!article) {
       return res.status(404).json({ success: false, message: 'Article not found' });
     }
 
+    const reviewer = reviewerId && await findReviewer(reviewerId, 'news');
+    if (reviewerId && !reviewer) {
+      return res.status(400).json({ success: false, message: 'Reviewer must be an active user with the news:review permission' });
+    }
+
+    res.locals.audit = { before: { assignedReviewer: article.assignedReviewer }, after: { assignedReviewer: reviewerId } };
+    article.assignedReviewer = reviewer ? reviewer._id : undefined;
+    await article.save();
+    await article.populate('assignedReviewer', 'name email');
+
     res.json({
       success: true,
-      message: `Article ${status === 'published' ? 'published' : 'saved as draft'} successfully`,
+      message: reviewer ? `Review assigned to ${reviewer.name}` : 'Reviewer removed',
       data: { article }
     });
   } catch (error) {
@@ -187,7 +1077,7 @@ router.patch('/:id/status', [
 });
 
 // PATCH toggle featured status
-router.patch('/:id/featured', async (req, res, next) => {
+router.patch('/:id/featured', requirePermission('news:feature'), audit('news.feature', 'News'), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -200,6 +1090,7 @@ router.patch('/:id/featured', async (req, res, next) => {
       return res.status(404).json({ success: false, message: 'Article not found' });
     }
 
+    res.locals.audit = { before: { featured: article.featured }, after: { featured: !article.featured } };
     article.featured = !article.featured;
     await article.save();
     await article.populate('createdBy', 'name email');
@@ -214,8 +1105,51 @@ router.patch('/:id/featured', async (req, res, next) => {
   }
 });
 
-// DELETE an article
-router.delete('/:id', async (req, res, next) => {
+// PATCH toggle breaking news; readers are alerted once, when a breaking article is published
+// (or right away if it already is), see /api/admin/alerts for the delivery
+router.patch('/:id/breaking', requirePermission('news:breaking'), audit('news.breaking', 'News'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid article ID' });
+    }
+
+    const article = await News.findById(id);
+    if (!article) {
+      return res.status(404).json({ success: false, message: 'Article not found' });
+    }
+    if (article.translationOf) {
+      return res.status(400).json({ success: false, message: 'Only source articles can be marked as breaking news' });
+    }
+
+    res.locals.audit = { before: { breaking: article.breaking }, after: { breaking: !article.breaking } };
+    article.breaking = !article.breaking;
+    article.$locals.alertTriggeredBy = req.user.userId;
+    await article.save();
+    await article.populate('createdBy', 'name email');
+
+    let message = 'Article unmarked from breaking news';
+    if (article.breaking) {
+      message = article.breakingAlertedAt
+        ? 'Article marked as breaking news; readers were already alerted'
+        : article.status === 'published'
+          ? 'Article marked as breaking news; readers are being alerted'
+          : 'Article marked as breaking news; readers will be alerted when it is published';
+    }
+
+    res.json({
+      success: true,
+      message,
+      data: { article }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE an article (moves it to the trash, see /api/admin/trash)
+router.delete('/:id', requirePermission('news:delete'), audit('news.delete', 'News'), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -223,15 +1157,16 @@ router.delete('/:id', async (req, res, next) => {
       return res.status(400).json({ success: false, message: 'Invalid news ID' });
     }
 
-    const article = await News.findByIdAndDelete(id);
+    const article = await News.softDeleteById(id, req.user.userId);
     
     if (!article) {
       return res.status(404).json({ success: false, message: 'News article not found' });
     }
+    res.locals.audit = { metadata: { title: article.title, trashed: true } };
 
     res.json({
       success: true,
-      message: 'Article deleted successfully',
+      message: 'Article moved to trash',
       data: { deletedId: id }
     });
   } catch (error) {
@@ -239,20 +1174,21 @@ router.delete('/:id', async (req, res, next) => {
   }
 });
 
-// DELETE multiple articles
-router.post('/bulk-delete', [
+// DELETE multiple articles (moves them to the trash)
+router.post('/bulk-delete', requirePermission('news:delete'), audit('news.bulk_delete', 'News'), [
   body('ids').isArray().withMessage('IDs must be an array'),
   body('ids.*').isMongoId().withMessage('Invalid article ID in array')
 ], handleValidationErrors, async (req, res, next) => {
   try {
     const { ids } = req.body;
 
-    const result = await News.deleteMany({ _id: { $in: ids } });
+    const result = await News.softDeleteMany({ _id: { $in: ids } }, req.user.userId);
+    res.locals.audit = { metadata: { ids, deletedCount: result.modifiedCount, trashed: true } };
 
     res.json({
       success: true,
-      message: `${result.deletedCount} article(s) deleted successfully`,
-      data: { deletedCount: result.deletedCount }
+      message: `${result.modifiedCount} article(s) moved to trash`,
+      data: { deletedCount: result.modifiedCount }
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,121 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const router = express.Router();
+
+// Apply authentication and alert permission to all routes
+router.use(authMiddleware);
+router.use(requirePermission('alerts:read'));
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+  }
+  next();
+};
+
+// @route   GET /api/admin/notifications
+// @desc    List outbox notifications (queued, sent, failed, dead) with filters and pagination;
+//          device tokens are not shown
+// @access  Private (alerts:read)
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('status').optional().isIn(Notification.NOTIFICATION_STATUSES).withMessage(`Status must be one of: ${Notification.NOTIFICATION_STATUSES.join(', ')}`),
+  query('alert').optional().isMongoId().withMessage('Invalid alert ID'),
+  query('user').optional().isMongoId().withMessage('Invalid user ID'),
+  query('device').optional().isMongoId().withMessage('Invalid device ID')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, status, alert, user, device } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (alert) filter.alert = alert;
+    if (user) filter.user = user;
+    if (device) filter.device = device;
+
+    const skip = (page - 1) * limit;
+    const [notifications, total] = await Promise.all([
+      Notification.find(filter)
+        .select('-token')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('user', 'name email')
+        .lean(),
+      Notification.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalNotifications: total
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/notifications/stats/summary
+// @desc    Outbox counts per status, and how many queued notifications are due now
+// @access  Private (alerts:read)
+router.get('/stats/summary', async (req, res, next) => {
+  try {
+    const [byStatus, due, oldestQueued] = await Promise.all([
+      Notification.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      Notification.countDocuments({ status: 'queued', nextAttemptAt: { $lte: new Date() } }),
+      Notification.findOne({ status: 'queued' }).sort({ createdAt: 1 }).select('createdAt').lean()
+    ]);
+
+    const counts = Object.fromEntries(Notification.NOTIFICATION_STATUSES.map(status => [status, 0]));
+    byStatus.forEach(({ _id, count }) => { counts[_id] = count; });
+
+    res.json({
+      success: true,
+      data: {
+        counts,
+        due,
+        oldestQueuedAt: oldestQueued ? oldestQueued.createdAt : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/notifications/:id
+// @desc    Get one outbox notification
+// @access  Private (alerts:read)
+router.get('/:id', async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid notification ID' });
+    }
+
+    const notification = await Notification.findById(req.params.id)
+      .select('-token')
+      .populate('user', 'name email')
+      .populate('device', 'platform appVersion model lastSeenAt invalidatedAt invalidReason')
+      .populate('alert', 'type title status')
+      .lean();
+
+    if (!notification) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
+
+    res.json({ success: true, data: { notification } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,315 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Tag = require('../models/Tag');
+const {
+  authMiddleware,
+  staffMiddleware,
+  requirePermission
+} = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { actorHasPermission } = require('../config/permissions');
+const { TAGGED_CONTENT, replaceTag, removeTag, findTaggedContent } = require('../utils/tags');
+const { escapeRegex } = require('../utils/regex');
+const router = express.Router();
+
+// Any staff member can browse tags; renaming, merging and deleting need tags:manage
+router.use(authMiddleware);
+router.use(staffMiddleware);
+
+const CONTENT_TYPES = Object.keys(TAGGED_CONTENT);
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+  }
+  next();
+};
+
+const validateObjectId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ success: false, message: 'Invalid tag ID' });
+  }
+  next();
+};
+
+const validateTagName = body('name')
+  .customSanitizer(value => Tag.normalizeTag(value))
+  .notEmpty().withMessage('Name is required');
+
+// @route   GET /api/admin/tags
+// @desc    List tags, most used first (?search=prefix, ?sort=usage|name)
+// @access  Private (Staff)
+router.get('/', [
+  query('sort').optional().isIn(['usage', 'name']).withMessage('Sort must be usage or name'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, search, sort = 'usage' } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (search) {
+      filter.name = { $regex: `^${escapeRegex(Tag.normalizeTag(search))}` };
+    }
+    const sortObj = sort === 'name' ? { name: 1 } : { usageCount: -1, name: 1 };
+
+    const [tags, total] = await Promise.all([
+      Tag.find(filter).sort(sortObj).skip(skip).limit(limit).lean(),
+      Tag.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        tags,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalTags: total
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/tags/autocomplete
+// @desc    Suggest tags starting with ?q, optionally only ones used by ?type=news|videos
+// @access  Private (Staff)
+router.get('/autocomplete', [
+  query('q').trim().notEmpty().withMessage('Query is required'),
+  query('type').optional().isIn(CONTENT_TYPES).withMessage(`Type must be one of: ${CONTENT_TYPES.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 25 }).toInt()
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { q, type, limit = 10 } = req.query;
+
+    const suggestions = Tag.autocomplete(q, limit);
+    if (type) suggestions.where(`usage.${type}`).gt(0);
+
+    res.json({ success: true, data: { tags: await suggestions.lean() } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/tags/recount
+// @desc    Rebuild every tag's usage counts from the content collections
+// @access  Private (tags:manage)
+router.post('/recount', requirePermission('tags:manage'), audit('tag.recount', 'Tag'), async (req, res, next) => {
+  try {
+    const counted = await Tag.recountAll();
+    res.locals.audit = { metadata: { counted } };
+
+    res.json({
+      success: true,
+      message: `Usage recounted for ${counted} tag(s)`,
+      data: { counted }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/tags/slug/:slug/content
+// @desc    Tag page: news and videos carrying the tag, newest first (?type=news|videos, ?status)
+// @access  Private (Staff; only content types the user can read are included)
+router.get('/slug/:slug/content', [
+  query('type').optional().isIn([...CONTENT_TYPES, 'all']).withMessage(`Type must be one of: ${CONTENT_TYPES.join(', ')}, all`),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { type = 'all', status, page = 1, limit = 20 } = req.query;
+
+    const tag = await Tag.findBySlug(req.params.slug);
+    if (!tag) {
+      return res.status(404).json({ success: false, message: 'Tag not found' });
+    }
+
+    const types = (type === 'all' ? CONTENT_TYPES : [type])
+      .filter(contentType => actorHasPermission(req.user, TAGGED_CONTENT[contentType].permission));
+    if (!types.length) {
+      return res.status(403).json({ success: false, message: 'Access denied. Missing permission to read this content type.' });
+    }
+
+    const { items, total } = await findTaggedContent(tag.name, { types, status, page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        tag,
+        // Former slugs are answered too; clients should redirect to the current one
+        redirect: tag.slug !== req.params.slug.toLowerCase(),
+        canonicalSlug: tag.slug,
+        items,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/tags/:id
+// @desc    Get a tag
+// @access  Private (Staff)
+router.get('/:id', validateObjectId, async (req, res, next) => {
+  try {
+    const tag = await Tag.findById(req.params.id);
+    if (!tag) {
+      return res.status(404).json({ success: false, message: 'Tag not found' });
+    }
+
+    res.json({ success: true, data: { tag } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/tags/:id
+// @desc    Update a tag's display label (use /rename to change the tag itself)
+// @access  Private (tags:manage)
+router.put('/:id', requirePermission('tags:manage'), audit('tag.update', 'Tag'), validateObjectId, [
+  body('label').trim().isLength({ min: 1, max: Tag.MAX_TAG_LENGTH }).withMessage(`Label must be between 1 and ${Tag.MAX_TAG_LENGTH} characters`)
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const tag = await Tag.findById(req.params.id);
+    if (!tag) {
+      return res.status(404).json({ success: false, message: 'Tag not found' });
+    }
+
+    const before = tag.toObject();
+    tag.label = req.body.label;
+    await tag.save();
+    res.locals.audit = { before, after: tag };
+
+    res.json({
+      success: true,
+      message: 'Tag updated successfully',
+      data: { tag }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/tags/:id/rename
+// @desc    Rename a tag on every news article and video carrying it
+// @access  Private (tags:manage)
+router.post('/:id/rename', requirePermission('tags:manage'), audit('tag.rename', 'Tag'), validateObjectId, validateTagName, handleValidationErrors, async (req, res, next) => {
+  try {
+    const { name } = req.body;
+
+    const tag = await Tag.findById(req.params.id);
+    if (!tag) {
+      return res.status(404).json({ success: false, message: 'Tag not found' });
+    }
+
+    if (tag.name === name) {
+      return res.status(400).json({ success: false, message: 'The tag already has this name' });
+    }
+
+    if (await Tag.exists({ name })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another tag already has this name. Merge the tags instead.'
+      });
+    }
+
+    // The registry entry is renamed first so the content rewrite updates its counts;
+    // the old slug stays in slugHistory so existing tag pages keep resolving
+    const oldName = tag.name;
+    if (tag.label === oldName) tag.label = name;
+    tag.name = name;
+    tag.slug = undefined;
+    await tag.save();
+
+    const modified = await replaceTag(oldName, name);
+    res.locals.audit = { before: { name: oldName }, after: { name }, metadata: { modified } };
+
+    res.json({
+      success: true,
+      message: `Tag renamed from ${oldName} to ${name}`,
+      data: { tag: await Tag.findById(tag._id), modified }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/tags/:id/merge
+// @desc    Merge this tag into another one on all content, then delete it
+// @access  Private (tags:manage)
+router.post('/:id/merge', requirePermission('tags:manage'), audit('tag.merge', 'Tag'), validateObjectId, [
+  body('targetId').isMongoId().withMessage('Invalid target tag ID')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const [source, target] = await Promise.all([
+      Tag.findById(req.params.id),
+      Tag.findById(req.body.targetId)
+    ]);
+
+    if (!source || !target) {
+      return res.status(404).json({ success: false, message: 'Tag not found' });
+    }
+
+    if (source._id.equals(target._id)) {
+      return res.status(400).json({ success: false, message: 'A tag cannot be merged into itself' });
+    }
+
+    const modified = await replaceTag(source.name, target.name);
+    await Tag.deleteOne({ _id: source._id });
+
+    // Pages of the merged tag keep resolving, to the target
+    const updated = await Tag.findById(target._id);
+    [source.slug, ...source.slugHistory].forEach(slug => updated.slugHistory.addToSet(slug));
+    await updated.save();
+    res.locals.audit = {
+      before: source,
+      metadata: { mergedInto: target._id, targetName: target.name, modified }
+    };
+
+    res.json({
+      success: true,
+      message: `Tag ${source.name} merged into ${target.name}`,
+      data: { tag: updated, modified }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/admin/tags/:id
+// @desc    Delete a tag and remove it from all content
+// @access  Private (tags:manage)
+router.delete('/:id', requirePermission('tags:manage'), audit('tag.delete', 'Tag'), validateObjectId, async (req, res, next) => {
+  try {
+    const tag = await Tag.findById(req.params.id);
+    if (!tag) {
+      return res.status(404).json({ success: false, message: 'Tag not found' });
+    }
+
+    const modified = await removeTag(tag.name);
+    await Tag.deleteOne({ _id: tag._id });
+    res.locals.audit = { before: tag, metadata: { modified } };
+
+    res.json({
+      success: true,
+      message: 'Tag deleted and removed from all content',
+      data: { deletedId: req.params.id, modified }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,194 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const {
+  authMiddleware,
+  staffMiddleware,
+  superAdminMiddleware
+} = require('../middleware/auth');
+const { actorHasPermission } = require('../config/permissions');
+const { recordAudit } = require('../utils/audit');
+const { TRASH_TYPES, RETENTION_DAYS, purgeDocuments } = require('../utils/trash');
+const router = express.Router();
+
+// Apply authentication and staff middleware to all routes;
+// listing and restoring need the delete permission of the content type
+router.use(authMiddleware);
+router.use(staffMiddleware);
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+  }
+  next();
+};
+
+// Resolves req.params.type to req.trashType and checks the type's permission
+const loadTrashType = (req, res, next) => {
+  const trashType = TRASH_TYPES[req.params.type];
+  if (!trashType) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown trash type. Available types: ${Object.keys(TRASH_TYPES).join(', ')}`
+    });
+  }
+
+  if (!actorHasPermission(req.user, trashType.permission)) {
+    return res.status(403).json({ success: false, message: `Access denied. Missing permission: ${trashType.permission}.` });
+  }
+
+  req.trashType = trashType;
+  next();
+};
+
+const validateObjectId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ success: false, message: 'Invalid ID' });
+  }
+  next();
+};
+
+const purgeDeadline = (deletedAt) => {
+  if (RETENTION_DAYS <= 0) return null;
+  return new Date(new Date(deletedAt).getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// @route   GET /api/admin/trash
+// @desc    Number of trashed items per type the user can see, and the retention period
+// @access  Private (<type>:delete)
+router.get('/', async (req, res, next) => {
+  try {
+    const types = Object.entries(TRASH_TYPES)
+      .filter(([, trashType]) => actorHasPermission(req.user, trashType.permission));
+
+    const counts = await Promise.all(
+      types.map(([, { Model }]) => Model.countDocuments({ deletedAt: { $ne: null } }))
+    );
+
+    res.json({
+      success: true,
+      data: {
+        retentionDays: RETENTION_DAYS,
+        counts: Object.fromEntries(types.map(([type], index) => [type, counts[index]]))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/trash/:type
+// @desc    List trashed items of one type, most recently deleted first
+// @access  Private (<type>:delete)
+router.get('/:type', loadTrashType, async (req, res, next) => {
+  try {
+    const { Model, select } = req.trashType;
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const [items, total] = await Promise.all([
+      Model.findDeleted()
+        .select(select)
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('deletedBy', 'name email')
+        .lean(),
+      Model.countDocuments({ deletedAt: { $ne: null } })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        items: items.map(item => ({ ...item, purgeAt: purgeDeadline(item.deletedAt) })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/trash/:type/:id/restore
+// @desc    Move an item out of the trash; it keeps the status it had when deleted
+// @access  Private (<type>:delete)
+router.post('/:type/:id/restore', loadTrashType, validateObjectId, async (req, res, next) => {
+  try {
+    const { Model, targetType } = req.trashType;
+
+    const item = await Model.restoreById(req.params.id);
+    if (!item) {
+      return res.status(404).json({ success: false, message: 'Item not found in trash' });
+    }
+
+    await recordAudit(req, { action: `${req.params.type}.restore`, targetType, targetId: item._id });
+
+    res.json({
+      success: true,
+      message: 'Item restored from trash',
+      data: { item }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/admin/trash/:type/:id
+// @desc    Permanently delete a trashed item
+// @access  Private (Super admin only)
+router.delete('/:type/:id', superAdminMiddleware, loadTrashType, validateObjectId, async (req, res, next) => {
+  try {
+    const { targetType } = req.trashType;
+
+    const deletedCount = await purgeDocuments(req.params.type, [req.params.id]);
+    if (!deletedCount) {
+      return res.status(404).json({ success: false, message: 'Item not found in trash' });
+    }
+
+    await recordAudit(req, { action: `${req.params.type}.purge`, targetType, targetId: req.params.id });
+
+    res.json({
+      success: true,
+      message: 'Item permanently deleted',
+      data: { deletedId: req.params.id }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/trash/:type/purge
+// @desc    Permanently delete the given trashed items, or the whole trash of the type when ids is omitted
+// @access  Private (Super admin only)
+router.post('/:type/purge', superAdminMiddleware, loadTrashType, [
+  body('ids').optional().isArray().withMessage('IDs must be an array'),
+  body('ids.*').isMongoId().withMessage('Invalid ID in array')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { Model, targetType } = req.trashType;
+
+    const ids = req.body.ids || (await Model.findDeleted().select('_id').lean()).map(item => item._id);
+    const deletedCount = ids.length ? await purgeDocuments(req.params.type, ids) : 0;
+
+    await recordAudit(req, {
+      action: `${req.params.type}.purge`,
+      targetType,
+      metadata: { ids, deletedCount, emptiedTrash: !req.body.ids }
+    });
+
+    res.json({
+      success: true,
+      message: `${deletedCount} item(s) permanently deleted`,
+      data: { deletedCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,23 +1,88 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
 const Video = require('../models/Video');
-const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const Media = require('../models/Media');
+const EditLock = require('../models/EditLock');
+const {
+  authMiddleware,
+  staffMiddleware,
+  requirePermission,
+  ownsDraft,
+  requireVerifiedEmailToPublish
+} = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { requireVersion } = require('../middleware/concurrency');
+const { STATUSES, WORKFLOW_QUEUES, getTransition } = require('../config/workflow');
+const { LANGUAGES, TEXT_SEARCH_LANGUAGES, isLanguage, requestedLanguage } = require('../config/languages');
+const { buildTranslation, translationOverview, checkLanguageChange } = require('../utils/translations');
+const { RELATED_TYPES, MAX_RELATED, setRelated, listRelated, suggestRelated } = require('../utils/related');
+const { collectionNavigation } = require('../utils/collections');
+const { MAX_SLUG_LENGTH } = require('../utils/slug');
+const { EDIT_LOCK_TTL_MS, setVersionHeaders, versionMatches, sendVersionConflict } = require('../utils/concurrency');
+const { checkTransition, applyTransition, findReviewer } = require('../utils/workflow');
 const router = express.Router();
 
-// Apply authentication and admin middleware to all routes
+// Apply authentication and staff middleware to all routes;
+// individual routes check their own permissions
 router.use(authMiddleware);
-router.use(adminMiddleware);
+router.use(staffMiddleware);
+
+// Saving with status "published" needs the publish permission (and a verified email, if enforced)
+const publishGuards = [
+  requirePermission('videos:publish', { when: req => req.body.status === 'published' }),
+  requireVerifiedEmailToPublish
+];
 
 // --- Validation Middleware ---
 const validateVideo = [
   body('title').trim().isLength({ min: 5, max: 200 }).withMessage('Title must be between 5 and 200 characters'),
   body('youtubeUrl').isURL().withMessage('Please provide a valid YouTube URL'),
-  body('category').isIn(['News', 'Analysis', 'Interview', 'Documentary', 'Live', 'Entertainment']).withMessage('Invalid category'),
-  body('status').optional().isIn(['published', 'draft']).withMessage('Status must be either published or draft'),
-  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters')
+  body('category').custom(async value => {
+    if (!await Category.isActiveName('videos', value)) throw new Error('Invalid category');
+    return true;
+  }),
+  body('status').optional().isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+  body('language').optional().isIn(LANGUAGES).withMessage(`Language must be one of: ${LANGUAGES.join(', ')}`),
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+  body('slug').optional({ checkFalsy: true }).trim().isLength({ max: MAX_SLUG_LENGTH }).withMessage(`Slug cannot exceed ${MAX_SLUG_LENGTH} characters`),
+  body('thumbnailMedia').optional({ nullable: true }).isMongoId().withMessage('Invalid media ID').bail().custom(async value => {
+    if (!await Media.exists({ _id: value })) throw new Error('Media not found');
+    return true;
+  }),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('tags.*').isString().trim().isLength({ max: Tag.MAX_TAG_LENGTH }).withMessage(`Tags cannot exceed ${Tag.MAX_TAG_LENGTH} characters`),
+  body('seo.metaTitle').optional({ checkFalsy: true }).trim().isLength({ max: 70 }).withMessage('Meta title cannot exceed 70 characters'),
+  body('seo.metaDescription').optional({ checkFalsy: true }).trim().isLength({ max: 160 }).withMessage('Meta description cannot exceed 160 characters'),
+  body('seo.canonicalUrl').optional({ checkFalsy: true }).isURL().withMessage('Canonical URL must be a valid URL'),
+  body('seo.ogImage').optional({ checkFalsy: true }).isURL().withMessage('Open Graph image must be a valid URL')
+];
+
+// Fields managed by the server (ownership, versions, workflow, scheduling, counters)
+// or by dedicated routes (featured, trash) that a request body cannot set
+const PROTECTED_FIELDS = [
+  'createdBy', '__v', 'version', 'status', 'translationOf', 'textLanguage', 'assignedReviewer',
+  'approvedBy', 'approvedAt', 'archivedAt', 'workflowHistory',
+  'publishedAt', 'scheduledPublishAt', 'scheduledUnpublishAt', 'scheduledBy', 'slugHistory', 'related',
+  'featured', 'views', 'shares', 'likes', 'deletedAt', 'deletedBy'
 ];
 
+const editableFields = (data) => {
+  const fields = { ...data };
+  PROTECTED_FIELDS.forEach(field => delete fields[field]);
+  return fields;
+};
+
+const sendTransitionError = (res, error) => {
+  return res.status(error.status).json({
+    success: false,
+    message: error.message,
+    data: error.allowed ? { allowedStatuses: error.allowed } : undefined
+  });
+};
+
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -41,11 +106,18 @@ const extractYouTubeId = (url) => {
 // --- ADMIN CRUD ROUTES ---
 
 // GET all videos (including drafts)
-router.get('/', async (req, res, next) => {
+router.get('/', requirePermission('videos:read'), async (req, res, next) => {
   try {
-    const { page = 1, limit = 20, category, status, search, sort = 'createdAt', order = 'desc' } = req.query;
+    const { page = 1, limit = 20, category, tag, status, search, language, sort = 'createdAt', order = 'desc' } = req.query;
     let query = {};
 
+    // ?language= lists videos in that language; otherwise ?lang= / Accept-Language
+    // shows each source video in the requested language where a translation exists
+    const lang = language ? null : requestedLanguage(req);
+    if (language) {
+      query.language = language;
+    }
+
     // Admin can see all statuses
     if (status && status !== 'all') {
       query.status = status;
@@ -55,17 +127,31 @@ router.get('/', async (req, res, next) => {
       query.category = category;
     }
 
-    if (search) {
+    if (tag) {
+      query.tags = Tag.normalizeTag(tag);
+    }
+
+    // Accept-Language only localizes; searching in one language takes an explicit ?lang=
+    if (search && lang && isLanguage(req.query.lang)) {
+      // Full-text search among videos in the requested language
+      query.$text = { $search: search, $language: TEXT_SEARCH_LANGUAGES[lang] };
+      query.language = lang;
+    } else if (search) {
       query.$or = [
         { title: { $regex: search, $options: 'i' } },
         { description: { $regex: search, $options: 'i' } }
       ];
     }
 
+    const localize = lang && !search;
+    if (localize) {
+      query.translationOf = null;
+    }
+
     const skip = (page - 1) * limit;
     const sortObj = { [sort]: order === 'desc' ? -1 : 1 };
 
-    const [videos, total] = await Promise.all([
+    let [videos, total] = await Promise.all([
       Video.find(query)
         .sort(sortObj)
         .skip(skip)
@@ -75,6 +161,11 @@ router.get('/', async (req, res, next) => {
       Video.countDocuments(query)
     ]);
 
+    if (localize) {
+      videos = await Video.localize(videos, lang, query.status ? { status: query.status } : {});
+    }
+    res.vary('Accept-Language');
+
     res.json({
       success: true,
       data: {
@@ -91,8 +182,485 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+// GET a video by its current or a former slug; former slugs report the current one to redirect to
+router.get('/slug/:slug', requirePermission('videos:read'), async (req, res, next) => {
+  try {
+    const video = await Video.findBySlug(req.params.slug)
+      .populate('createdBy', 'name email');
+
+    if (!video) {
+      return res.status(404).json({ success: false, message: 'Video not found' });
+    }
+
+    const redirect = video.slug !== req.params.slug.toLowerCase();
+    setVersionHeaders(res, video);
+    res.json({
+      success: true,
+      data: {
+        video,
+        collections: await collectionNavigation('Video', video._id),
+        redirect,
+        ...(redirect && { canonicalSlug: video.slug })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// --- SCHEDULING ---
+
+// GET upcoming scheduled publishing/unpublishing (?type=publish|unpublish)
+router.get('/scheduled', requirePermission('videos:read'), [
+  query('type').optional().isIn(['publish', 'unpublish']).withMessage('Type must be publish or unpublish')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { type, page = 1, limit = 20 } = req.query;
+    const filter = type
+      ? { [type === 'publish' ? 'scheduledPublishAt' : 'scheduledUnpublishAt']: { $ne: null } }
+      : { $or: [{ scheduledPublishAt: { $ne: null } }, { scheduledUnpublishAt: { $ne: null } }] };
+    const skip = (page - 1) * limit;
+
+    const [videos, total] = await Promise.all([
+      Video.find(filter)
+        .select('title status scheduledPublishAt scheduledUnpublishAt scheduledBy publishedAt createdBy')
+        .sort({ scheduledPublishAt: 1, scheduledUnpublishAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('scheduledBy', 'name email')
+        .lean(),
+      Video.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        videos,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalVideos: total
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT set the publish and/or unpublish time of a video (null clears one)
+router.put('/:id/schedule', requirePermission('videos:publish'), audit('videos.schedule', 'Video'), [
+  body('publishAt').optional({ nullable: true }).isISO8601().withMessage('publishAt must be an ISO 8601 date'),
+  body('unpublishAt').optional({ nullable: true }).isISO8601().withMessage('unpublishAt must be an ISO 8601 date'),
+  body().custom(value => 'publishAt' in value || 'unpublishAt' in value).withMessage('Provide publishAt and/or unpublishAt')
+], handleValidationErrors, requireVerifiedEmailToPublish, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid video ID' });
+    }
+
+    const video = await Video.findById(id);
+    if (!video) {
+      return res.status(404).json({ success: false, message: 'Video not found' });
+    }
+
+    const now = new Date();
+    const publishAt = 'publishAt' in req.body
+      ? (req.body.publishAt ? new Date(req.body.publishAt) : undefined)
+      : video.scheduledPublishAt;
+    const unpublishAt = 'unpublishAt' in req.body
+      ? (req.body.unpublishAt ? new Date(req.body.unpublishAt) : undefined)
+      : video.scheduledUnpublishAt;
+
+    if ((req.body.publishAt && publishAt <= now) || (req.body.unpublishAt && unpublishAt <= now)) {
+      return res.status(400).json({ success: false, message: 'Scheduled times must be in the future' });
+    }
+    if (publishAt && video.status === 'published') {
+      return res.status(400).json({ success: false, message: 'Video is already published' });
+    }
+    // The scheduler can only publish along the workflow, so e.g. drafts must be approved first
+    if (req.body.publishAt && !getTransition(video.status, 'published')) {
+      return res.status(400).json({
+        success: false,
+        message: `Videos with status ${video.status} cannot be scheduled for publishing`
+      });
+    }
+    if (unpublishAt && video.status !== 'published' && !publishAt) {
+      return res.status(400).json({ success: false, message: 'Only published or scheduled videos can be scheduled for unpublishing' });
+    }
+    if (publishAt && unpublishAt && unpublishAt <= publishAt) {
+      return res.status(400).json({ success: false, message: 'unpublishAt must be after publishAt' });
+    }
+
+    res.locals.audit = {
+      before: { scheduledPublishAt: video.scheduledPublishAt, scheduledUnpublishAt: video.scheduledUnpublishAt },
+      after: { scheduledPublishAt: publishAt, scheduledUnpublishAt: unpublishAt }
+    };
+    video.scheduledPublishAt = publishAt;
+    video.scheduledUnpublishAt = unpublishAt;
+    video.scheduledBy = req.user.userId;
+    await video.save();
+
+    res.json({
+      success: true,
+      message: 'Schedule updated successfully',
+      data: {
+        schedule: {
+          publishAt: video.scheduledPublishAt || null,
+          unpublishAt: video.scheduledUnpublishAt || null,
+          status: video.status
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE cancel the schedule of a video (?type=publish|unpublish, both by default)
+router.delete('/:id/schedule', requirePermission('videos:publish'), audit('videos.schedule_cancel', 'Video'), [
+  query('type').optional().isIn(['publish', 'unpublish']).withMessage('Type must be publish or unpublish')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { type } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid video ID' });
+    }
+
+    const video = await Video.findById(id);
+    if (!video) {
+      return res.status(404).json({ success: false, message: 'Video not found' });
+    }
+
+    res.locals.audit = {
+      before: { scheduledPublishAt: video.scheduledPublishAt, scheduledUnpublishAt: video.scheduledUnpublishAt }
+    };
+    if (type !== 'unpublish') video.scheduledPublishAt = undefined;
+    if (type !== 'publish') video.scheduledUnpublishAt = undefined;
+    await video.save();
+
+    res.json({
+      success: true,
+      message: 'Schedule cancelled successfully',
+      data: {
+        schedule: {
+          publishAt: video.scheduledPublishAt || null,
+          unpublishAt: video.scheduledUnpublishAt || null,
+          status: video.status
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET a workflow queue, e.g. /queue/awaiting-my-review (see WORKFLOW_QUEUES)
+router.get('/queue/:queue', requirePermission('videos:read'), async (req, res, next) => {
+  try {
+    const buildFilter = WORKFLOW_QUEUES[req.params.queue];
+    if (!buildFilter) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown queue. Available queues: ${Object.keys(WORKFLOW_QUEUES).join(', ')}`
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const filter = buildFilter(req.user.userId);
+    const skip = (page - 1) * limit;
+
+    const [videos, total] = await Promise.all([
+      Video.find(filter)
+        .sort({ updatedAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('createdBy', 'name email')
+        .populate('assignedReviewer', 'name email')
+        .lean(),
+      Video.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        queue: req.params.queue,
+        videos,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalVideos: total
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// --- TRANSLATIONS ---
+
+const TRANSLATION_SUMMARY_FIELDS = 'title slug language status translationOf publishedAt updatedAt createdBy';
+
+// GET source videos not yet translated into ?language= (optionally only those with ?status=)
+router.get('/translations/missing', requirePermission('videos:read'), [
+  query('language').isIn(LANGUAGES).withMessage(`Language must be one of: ${LANGUAGES.join(', ')}`),
+  query('status').optional().isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { language, status, page = 1, limit = 20 } = req.query;
+
+    const { items, total } = await Video.findMissingTranslations(language, {
+      filter: status ? { status } : {},
+      page,
+      limit,
+      select: { title: 1, slug: 1, language: 1, status: 1, category: 1, publishedAt: 1, createdAt: 1 }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        language,
+        videos: items,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalVideos: total
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET the source of a video (or of the translation given) with all its translations
+router.get('/:id/translations', requirePermission('videos:read'), async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid video ID' });
+    }
+
+    const source = await Video.findSource(req.params.id);
+    if (!source) {
+      return res.status(404).json({ success: false, message: 'Video not found' });
+    }
+
+    const { translations, missingLanguages } = await translationOverview(Video, source, TRANSLATION_SUMMARY_FIELDS);
+
+    res.json({
+      success: true,
+      data: {
+        source: {
+          _id: source._id,
+          title: source.title,
+          slug: source.slug,
+          language: source.language,
+          status: source.status
+        },
+        translations,
+        missingLanguages
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST create a translation of a video as a draft; the YouTube video, category and tags come from the source
+router.post('/:id/translations', requirePermission('videos:create'), audit('videos.translate', 'Video'), [
+  body('language').isIn(LANGUAGES).withMessage(`Language must be one of: ${LANGUAGES.join(', ')}`),
+  body('title').trim().isLength({ min: 5, max: 200 }).withMessage('Title must be between 5 and 200 characters'),
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+  body('slug').optional({ checkFalsy: true }).trim().isLength({ max: MAX_SLUG_LENGTH }).withMessage(`Slug cannot exceed ${MAX_SLUG_LENGTH} characters`),
+  body('seo.metaTitle').optional({ checkFalsy: true }).trim().isLength({ max: 70 }).withMessage('Meta title cannot exceed 70 characters'),
+  body('seo.metaDescription').optional({ checkFalsy: true }).trim().isLength({ max: 160 }).withMessage('Meta description cannot exceed 160 characters')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid video ID' });
+    }
+
+    const source = await Video.findSource(req.params.id);
+    if (!source) {
+      return res.status(404).json({ success: false, message: 'Video not found' });
+    }
+
+    const { language, title, description, slug, seo } = req.body;
+    if (language === source.language) {
+      return res.status(400).json({ success: false, message: 'The source video is already in this language' });
+    }
+
+    const existing = await Video.findOne({ translationOf: source._id, language }).setOptions({ withDeleted: true }).select('_id deletedAt').lean();
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: existing.deletedAt
+          ? 'A translation into this language is in the trash. Restore it instead.'
+          : 'A translation into this language already exists',
+        data: { translationId: existing._id }
+      });
+    }
+
+    const translation = buildTranslation(Video, source, language, { title, description, slug, seo }, req.user.userId);
+    await translation.save();
+    res.locals.audit = { targetId: translation._id, after: translation, metadata: { sourceId: source._id, language } };
+
+    res.status(201).json({
+      success: true,
+      message: 'Translation created successfully',
+      data: { video: translation }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// --- RELATED CONTENT ---
+
+// GET the related articles and videos of a video, in order
+router.get('/:id/related', requirePermission('videos:read'), async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid video ID' });
+    }
+
+    const video = await Video.findById(req.params.id).select('related');
+    if (!video) {
+      return res.status(404).json({ success: false, message: 'Video not found' });
+    }
+
+    res.json({ success: true, data: { related: await listRelated(video) } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT replace the ordered related items ([{ type, id }]) of a published item; each linked item links back
+router.put('/:id/related', requirePermission('videos:update'), audit('videos.related', 'Video'), [
+  body('items').isArray({ max: MAX_RELATED }).withMessage(`items must be an array of at most ${MAX_RELATED} related items`),
+  body('items.*.type').isIn(Object.keys(RELATED_TYPES)).withMessage(`Related item type must be one of: ${Object.keys(RELATED_TYPES).join(', ')}`),
+  body('items.*.id').isMongoId().withMessage('Invalid related item ID')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid video ID' });
+    }
+
+    const video = await Video.findById(req.params.id).select('status related');
+    if (!video) {
+      return res.status(404).json({ success: false, message: 'Video not found' });
+    }
+
+    const before = video.related.map(link => ({ model: link.model, item: link.item }));
+    const result = await setRelated(video, req.body.items, req.user);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+    res.locals.audit = { before: { related: before }, after: { related: result.related } };
+
+    video.related = result.related;
+    res.json({
+      success: true,
+      message: 'Related content updated',
+      data: { related: await listRelated(video) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET suggested items to relate, ranked by shared tags, category and text similarity
+router.get('/:id/related/suggestions', requirePermission('videos:read'), [
+  query('type').optional().isIn(Object.keys(RELATED_TYPES)).withMessage(`Type must be one of: ${Object.keys(RELATED_TYPES).join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid video ID' });
+    }
+
+    const video = await Video.findById(req.params.id).select('title category tags language related');
+    if (!video) {
+      return res.status(404).json({ success: false, message: 'Video not found' });
+    }
+
+    const { type, limit = 10 } = req.query;
+    const suggestions = await suggestRelated(video, { types: type ? [type] : undefined, limit });
+    res.json({ success: true, data: { suggestions } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// --- EDIT LOCKS ---
+// Advisory only: they show who has a video open; saves are guarded by versions
+
+// GET who is currently editing a video
+router.get('/:id/lock', requirePermission('videos:read'), async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid video ID' });
+    }
+
+    const lock = await EditLock.current('videos', req.params.id);
+    res.json({ success: true, data: { locked: !!lock, lock } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT take or renew the edit lock; clients renew it while the editor is open.
+// Another user's lock is reported with 409 unless `force` is set to take it over.
+router.put('/:id/lock', requirePermission('videos:update', { isOwner: ownsDraft(Video) }), [
+  body('force').optional().isBoolean().withMessage('force must be a boolean')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid video ID' });
+    }
+    if (!await Video.exists({ _id: req.params.id })) {
+      return res.status(404).json({ success: false, message: 'Video not found' });
+    }
+
+    const force = req.body.force === true || req.body.force === 'true';
+    const { acquired, lock } = await EditLock.acquire('videos', req.params.id, req.user.userId, EDIT_LOCK_TTL_MS, { force });
+    if (!acquired) {
+      return res.status(409).json({
+        success: false,
+        message: lock && lock.user ? `${lock.user.name} is currently editing this video` : 'Someone else is currently editing this video',
+        data: { lock }
+      });
+    }
+
+    res.json({ success: true, data: { lock } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE release your edit lock
+router.delete('/:id/lock', requirePermission('videos:read'), async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid video ID' });
+    }
+
+    await EditLock.release('videos', req.params.id, req.user.userId);
+    res.json({ success: true, message: 'Edit lock released' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // GET a single video by ID (including drafts)
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', requirePermission('videos:read'), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -100,22 +668,40 @@ router.get('/:id', async (req, res, next) => {
       return res.status(400).json({ success: false, message: 'Invalid video ID' });
     }
 
-    const video = await Video.findById(id)
+    const found = await Video.findById(id)
       .populate('createdBy', 'name email')
       .lean();
     
-    if (!video) {
+    if (!found) {
       return res.status(404).json({ success: false, message: 'Video not found' });
     }
 
-    res.json({ success: true, data: { video } });
+    // This is the editing view, so it always answers with the requested item itself.
+    // With ?lang= / Accept-Language its translation into that language (or the fallback) comes alongside.
+    const lang = requestedLanguage(req);
+    const [localized] = lang ? await Video.localize([found], lang) : [];
+    res.vary('Accept-Language');
+    setVersionHeaders(res, found);
+
+    // Series and playlists the item belongs to, with its part number and neighbours
+    const collections = await collectionNavigation('Video', found._id);
+
+    res.json({
+      success: true,
+      data: {
+        video: found,
+        version: found.__v || 0,
+        ...(localized && { localized }),
+        collections
+      }
+    });
   } catch (error) {
     next(error);
   }
 });
 
 // POST fetch YouTube data
-router.post('/fetch-youtube-data', [
+router.post('/fetch-youtube-data', requirePermission('videos:create'), [
   body('youtubeUrl').isURL().withMessage('A valid YouTube URL is required')
 ], handleValidationErrors, async (req, res, next) => {
   try {
@@ -149,7 +735,7 @@ router.post('/fetch-youtube-data', [
 });
 
 // POST create new video
-router.post('/', validateVideo, handleValidationErrors, async (req, res, next) => {
+router.post('/', requirePermission('videos:create'), audit('videos.create', 'Video'), publishGuards, validateVideo, handleValidationErrors, async (req, res, next) => {
   try {
     const youtubeId = extractYouTubeId(req.body.youtubeUrl);
     
@@ -160,23 +746,35 @@ router.post('/', validateVideo, handleValidationErrors, async (req, res, next) =
       });
     }
 
-    // Check if video with this YouTube ID already exists
-    const existingVideo = await Video.findOne({ youtubeId });
+    // Check if video with this YouTube ID already exists (trashed videos still hold their ID);
+    // translations share their source's ID
+    const existingVideo = await Video.findOne({ youtubeId, translationOf: null }).setOptions({ withDeleted: true });
     if (existingVideo) {
       return res.status(409).json({
         success: false,
-        message: 'A video with this YouTube ID already exists.'
+        message: existingVideo.deletedAt
+          ? 'A video with this YouTube ID is in the trash. Restore it instead.'
+          : 'A video with this YouTube ID already exists.'
       });
     }
 
     const videoData = {
-      ...req.body,
+      ...editableFields(req.body),
       youtubeId,
       createdBy: req.user.userId
     };
     
+    // New videos start as drafts; any other requested status is a workflow transition
     const video = new Video(videoData);
+    const { status } = req.body;
+    if (status && status !== 'draft') {
+      const transitionError = checkTransition(req.user, 'videos', video, status, req.body.comment);
+      if (transitionError) return sendTransitionError(res, transitionError);
+      applyTransition(video, req.user, status, req.body.comment);
+    }
+
     await video.save();
+    res.locals.audit = { targetId: video._id, after: video };
     await video.populate('createdBy', 'name email');
 
     res.status(201).json({
@@ -190,7 +788,7 @@ router.post('/', validateVideo, handleValidationErrors, async (req, res, next) =
 });
 
 // PUT update video
-router.put('/:id', validateVideo, handleValidationErrors, async (req, res, next) => {
+router.put('/:id', requirePermission('videos:update', { isOwner: ownsDraft(Video) }), audit('videos.update', 'Video'), requireVersion, publishGuards, validateVideo, handleValidationErrors, async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -198,7 +796,8 @@ router.put('/:id', validateVideo, handleValidationErrors, async (req, res, next)
       return res.status(400).json({ success: false, message: 'Invalid video ID' });
     }
 
-    const updateData = { ...req.body };
+    // Ownership and workflow fields cannot be changed through an update
+    const updateData = editableFields(req.body);
     
     if (updateData.youtubeUrl) {
       const youtubeId = extractYouTubeId(updateData.youtubeUrl);
@@ -211,15 +810,37 @@ router.put('/:id', validateVideo, handleValidationErrors, async (req, res, next)
       updateData.youtubeId = youtubeId;
     }
 
-    const video = await Video.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate('createdBy', 'name email');
-
+    // Saved through the document so the workflow and publishedAt hooks run
+    const video = await Video.findById(id);
     if (!video) {
       return res.status(404).json({ success: false, message: 'Video not found' });
     }
+    if (!versionMatches(req, video)) {
+      return sendVersionConflict(res, video, updateData);
+    }
+
+    const languageError = await checkLanguageChange(video, req.body.language);
+    if (languageError) {
+      return res.status(languageError.status).json({ success: false, message: languageError.message });
+    }
+
+    // A status change in an update goes through the workflow like PATCH /:id/status
+    const { status } = req.body;
+    const changesStatus = status && status !== video.status;
+    if (changesStatus) {
+      const transitionError = checkTransition(req.user, 'videos', video, status, req.body.comment);
+      if (transitionError) return sendTransitionError(res, transitionError);
+    }
+
+    const before = video.toObject();
+    video.set(updateData);
+    if (changesStatus) {
+      applyTransition(video, req.user, status, req.body.comment);
+    }
+    await video.save();
+    await video.populate('createdBy', 'name email');
+    res.locals.audit = { before, after: video };
+    setVersionHeaders(res, video);
 
     res.json({
       success: true,
@@ -231,31 +852,97 @@ router.put('/:id', validateVideo, handleValidationErrors, async (req, res, next)
   }
 });
 
-// PATCH update video status only
-router.patch('/:id/status', [
-  body('status').isIn(['published', 'draft']).withMessage('Invalid status')
-], handleValidationErrors, async (req, res, next) => {
+// PATCH move a video through the editorial workflow; the transition decides the permission needed
+router.patch('/:id/status', audit('videos.status', 'Video'), requireVersion, [
+  body('status').isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+  body('comment').optional().isString().isLength({ max: 2000 }).withMessage('Comment cannot exceed 2000 characters'),
+  body('reviewerId').optional().isMongoId().withMessage('Invalid reviewer ID')
+], handleValidationErrors, requireVerifiedEmailToPublish, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, comment, reviewerId } = req.body;
     
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ success: false, message: 'Invalid video ID' });
     }
 
-    const video = await Video.findByIdAndUpdate(
-      id,
-      { status },
-      { new: true, runValidators: true }
-    ).populate('createdBy', 'name email');
+    const video = await Video.findById(id);
+    if (!video) {
+      return res.status(404).json({ success: false, message: 'Video not found' });
+    }
+    if (!versionMatches(req, video)) {
+      return sendVersionConflict(res, video, { status });
+    }
+
+    const transitionError = checkTransition(req.user, 'videos', video, status, comment);
+    if (transitionError) return sendTransitionError(res, transitionError);
+
+    // Producers may pick a reviewer when submitting
+    let reviewer;
+    if (reviewerId) {
+      if (status !== 'in_review') {
+        return res.status(400).json({ success: false, message: 'A reviewer can only be chosen when submitting for review' });
+      }
+      reviewer = await findReviewer(reviewerId, 'videos');
+      if (!reviewer) {
+        return res.status(400).json({ success: false, message: 'Reviewer must be an active user with the videos:review permission' });
+      }
+    }
+
+    const before = { status: video.status, assignedReviewer: video.assignedReviewer };
+    const action = applyTransition(video, req.user, status, comment);
+    if (reviewer) {
+      video.assignedReviewer = reviewer._id;
+    }
+    await video.save();
+    await video.populate('createdBy', 'name email');
+    res.locals.audit = {
+      before,
+      after: { status: video.status, assignedReviewer: video.assignedReviewer },
+      metadata: { action, comment }
+    };
+    setVersionHeaders(res, video);
 
+    res.json({
+      success: true,
+      message: `Video moved to ${status.replace('_', ' ')}`,
+      data: { video }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT assign (or clear, with reviewerId null) the reviewer of a video
+router.put('/:id/reviewer', requirePermission('videos:review'), audit('videos.assign_reviewer', 'Video'), [
+  body('reviewerId').custom(value => value === null || mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid reviewer ID')
+], handleValidationErrors, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reviewerId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid video ID' });
+    }
+
+    const video = await Video.findById(id);
     if (!video) {
       return res.status(404).json({ success: false, message: 'Video not found' });
     }
 
+    const reviewer = reviewerId && await findReviewer(reviewerId, 'videos');
+    if (reviewerId && !reviewer) {
+      return res.status(400).json({ success: false, message: 'Reviewer must be an active user with the videos:review permission' });
+    }
+
+    res.locals.audit = { before: { assignedReviewer: video.assignedReviewer }, after: { assignedReviewer: reviewerId } };
+    video.assignedReviewer = reviewer ? reviewer._id : undefined;
+    await video.save();
+    await video.populate('assignedReviewer', 'name email');
+
     res.json({
       success: true,
-      message: `Video ${status === 'published' ? 'published' : 'saved as draft'} successfully`,
+      message: reviewer ? `Review assigned to ${reviewer.name}` : 'Reviewer removed',
       data: { video }
     });
   } catch (error) {
@@ -264,7 +951,7 @@ router.patch('/:id/status', [
 });
 
 // PATCH toggle featured status
-router.patch('/:id/featured', async (req, res, next) => {
+router.patch('/:id/featured', requirePermission('videos:feature'), audit('videos.feature', 'Video'), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -277,6 +964,7 @@ router.patch('/:id/featured', async (req, res, next) => {
       return res.status(404).json({ success: false, message: 'Video not found' });
     }
 
+    res.locals.audit = { before: { featured: video.featured }, after: { featured: !video.featured } };
     video.featured = !video.featured;
     await video.save();
     await video.populate('createdBy', 'name email');
@@ -291,8 +979,8 @@ router.patch('/:id/featured', async (req, res, next) => {
   }
 });
 
-// DELETE a video
-router.delete('/:id', async (req, res, next) => {
+// DELETE a video (moves it to the trash, see /api/admin/trash)
+router.delete('/:id', requirePermission('videos:delete'), audit('videos.delete', 'Video'), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -300,15 +988,16 @@ router.delete('/:id', async (req, res, next) => {
       return res.status(400).json({ success: false, message: 'Invalid video ID' });
     }
 
-    const video = await Video.findByIdAndDelete(id);
+    const video = await Video.softDeleteById(id, req.user.userId);
     
     if (!video) {
       return res.status(404).json({ success: false, message: 'Video not found' });
     }
+    res.locals.audit = { metadata: { title: video.title, trashed: true } };
 
     res.json({
       success: true,
-      message: 'Video deleted successfully',
+      message: 'Video moved to trash',
       data: { deletedId: id }
     });
   } catch (error) {
@@ -316,20 +1005,21 @@ router.delete('/:id', async (req, res, next) => {
   }
 });
 
-// DELETE multiple videos
-router.post('/bulk-delete', [
+// DELETE multiple videos (moves them to the trash)
+router.post('/bulk-delete', requirePermission('videos:delete'), audit('videos.bulk_delete', 'Video'), [
   body('ids').isArray().withMessage('IDs must be an array'),
   body('ids.*').isMongoId().withMessage('Invalid video ID in array')
 ], handleValidationErrors, async (req, res, next) => {
   try {
     const { ids } = req.body;
 
-    const result = await Video.deleteMany({ _id: { $in: ids } });
+    const result = await Video.softDeleteMany({ _id: { $in: ids } }, req.user.userId);
+    res.locals.audit = { metadata: { ids, deletedCount: result.modifiedCount, trashed: true } };
 
     res.json({
       success: true,
-      message: `${result.deletedCount} video(s) deleted successfully`,
-      data: { deletedCount: result.deletedCount }
+      message: `${result.modifiedCount} video(s) moved to trash`,
+      data: { deletedCount: result.modifiedCount }
     });
   } catch (error) {
     next(error);
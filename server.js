@@ -4,18 +4,39 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
-const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 5001;
 
-// Import User model for seeding
+// Import models used for seeding and startup backfills
 const User = require('./models/User');
+const News = require('./models/News');
+const Video = require('./models/Video');
+const Category = require('./models/Category');
+const { validatePassword } = require('./utils/passwordPolicy');
+const { startScheduler, stopScheduler } = require('./utils/scheduler');
+const { backfillTags } = require('./utils/tags');
+const { DEFAULT_LANGUAGE, TEXT_SEARCH_LANGUAGES } = require('./config/languages');
+const { getStorage } = require('./utils/storage');
+const { identifyApiKey } = require('./middleware/apiKey');
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const mfaRoutes = require('./routes/mfa');
 const adminRoutes = require('./routes/admin');
+const invitationRoutes = require('./routes/invitations');
+const auditRoutes = require('./routes/audit');
+const apiKeyRoutes = require('./routes/apiKeys');
+const trashRoutes = require('./routes/trash');
+const categoryRoutes = require('./routes/categories');
+const tagRoutes = require('./routes/tags');
+const mediaRoutes = require('./routes/media');
+const alertRoutes = require('./routes/alerts');
+const notificationRoutes = require('./routes/notifications');
+const deviceRoutes = require('./routes/devices');
+const collectionRoutes = require('./routes/collections');
 const newsRoutes = require('./routes/news');
 const videoRoutes = require('./routes/videos');
 const feedbackRoutes = require('./routes/feedback');
@@ -29,11 +50,13 @@ const limiter = rateLimit({
   max: 100,
   standardHeaders: true,
   legacyHeaders: false,
+  // Requests on routes a valid API key's scopes cover use that key's limits instead (see middleware/apiKey.js)
+  skip: (req) => !!req.apiKey,
   message: {
     error: 'Too many requests from this IP, please try again later.'
   }
 });
-app.use('/api/', limiter);
+app.use('/api/', identifyApiKey, limiter);
 
 // CORS configuration - Allow admin panel only
 const corsOptions = {
@@ -49,6 +72,16 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Uploaded media, when stored on local disk (see utils/storage.js). File names are
+// never reused, so they can be cached for good; images are embedded by other origins.
+if ((process.env.MEDIA_STORAGE || 'local') === 'local') {
+  app.use('/uploads', express.static(getStorage().localDir, {
+    immutable: true,
+    maxAge: '365d',
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
 // Logging middleware
 if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
@@ -57,44 +90,131 @@ if (process.env.NODE_ENV === 'development') {
 }
 
 // Seed default admin user function
+// Creates the first super admin on an empty database. An existing account is never
+// touched, so a real password is never reset back to a default.
+// Password every earlier release reset the seeded admin account to on each start
+const LEGACY_SEED_PASSWORD = 'admin123';
+
+// Existing installs: the seeded account may still have the publicly known default
+// password, and predates the super_admin role, which only a super_admin can grant
+const secureExistingAdmin = async (admin) => {
+  const updates = {};
+  if (!admin.passwordChangeRequired && await admin.comparePassword(LEGACY_SEED_PASSWORD)) {
+    updates.passwordChangeRequired = true;
+    console.warn('⚠️  The admin account still has the default password; it must be changed at next login.');
+  }
+  if (admin.role !== 'super_admin' && !await User.exists({ role: 'super_admin' })) {
+    updates.role = 'super_admin';
+    console.log(`✅ No super admin exists yet; ${admin.email} was promoted to super admin.`);
+  }
+  if (Object.keys(updates).length) {
+    // Written directly so accounts that predate newer validation rules are updated too
+    await User.updateOne({ _id: admin._id }, { $set: updates });
+  }
+};
+
 const seedAdminUser = async () => {
   try {
-    const adminEmail = 'admin@abhaya.com';
-    const defaultPassword = 'admin123';
+    const adminEmail = (process.env.ADMIN_SEED_EMAIL || 'admin@abhaya.com').toLowerCase();
     const admin = await User.findOne({ email: adminEmail }).select('+password');
 
-    if (!admin) {
-      console.log('No admin user found. Creating one...');
-      const newAdmin = new User({
-        name: 'Admin User',
-        email: adminEmail,
-        password: defaultPassword,
-        role: 'admin',
-        status: 'active',
-        emailVerified: true
-      });
-      await newAdmin.save();
-      console.log('✅ Default admin user created successfully.');
-      console.log(`   Email: ${adminEmail}`);
-      console.log(`   Password: ${defaultPassword}`);
-    } else {
-      const isPasswordDefault = await bcrypt.compare(defaultPassword, admin.password || '');
-      if (!isPasswordDefault || admin.isLocked || admin.loginAttempts > 0) {
-        console.log('Admin account requires reset. Resetting password and unlocking...');
-        admin.password = defaultPassword;
-        admin.loginAttempts = 0;
-        admin.lockUntil = undefined;
-        await admin.save();
-        console.log('✅ Default admin user password has been reset and account unlocked.');
-      } else {
-        console.log('✅ Admin user account is in a good state.');
-      }
+    if (admin) {
+      await secureExistingAdmin(admin);
+      console.log('✅ Admin user account exists; seeding skipped.');
+      return;
+    }
+
+    let password = process.env.ADMIN_SEED_PASSWORD;
+    const generated = !password;
+    if (generated) {
+      // Random body plus one character of every class the policy may require
+      password = `${crypto.randomBytes(18).toString('base64url')}Aa1!`;
+    }
+
+    const problems = validatePassword(password, { name: 'Admin User', email: adminEmail });
+    if (problems.length) {
+      console.error(`❌ ADMIN_SEED_PASSWORD does not meet the password policy: ${problems.join('; ')}`);
+      return;
+    }
+
+    console.log('No admin user found. Creating one...');
+    const newAdmin = new User({
+      name: 'Admin User',
+      email: adminEmail,
+      password,
+      role: 'super_admin',
+      status: 'active',
+      emailVerified: true,
+      // The seed password is only good for the first login
+      passwordChangeRequired: true
+    });
+    await newAdmin.save();
+    console.log('✅ Super admin user created successfully. The password must be changed at first login.');
+    console.log(`   Email: ${adminEmail}`);
+    if (generated) {
+      console.log(`   Password: ${password}`);
     }
   } catch (error) {
     console.error('❌ Error during admin user seeding:', error.message);
   }
 };
 
+// Content created before slugs existed gets one, so every item is addressable by slug
+const backfillSlugs = async () => {
+  try {
+    const [newsCount, videoCount] = [await News.backfillSlugs(), await Video.backfillSlugs()];
+    if (newsCount || videoCount) {
+      console.log(`✅ Generated slugs for ${newsCount} article(s) and ${videoCount} video(s).`);
+    }
+  } catch (error) {
+    console.error('❌ Error while generating slugs:', error.message);
+  }
+};
+
+// Categories used to be hard-coded; an empty collection gets the former lists
+const seedCategories = async () => {
+  try {
+    const created = await Category.seedDefaults();
+    if (created) {
+      console.log(`✅ Seeded ${created} default categories.`);
+    }
+  } catch (error) {
+    console.error('❌ Error while seeding categories:', error.message);
+  }
+};
+
+// Tags used to be free-form; the first start with the registry normalizes and registers them
+const seedTags = async () => {
+  try {
+    const registered = await backfillTags();
+    if (registered) {
+      console.log(`✅ Registered ${registered} existing tag(s).`);
+    }
+  } catch (error) {
+    console.error('❌ Error while registering tags:', error.message);
+  }
+};
+
+// Content from before translations is in the default language; indexes changed with
+// language-aware search (text index language override, YouTube ID unique per language)
+const syncContentIndexes = async () => {
+  try {
+    const legacy = { language: { $exists: false } };
+    const update = { $set: { language: DEFAULT_LANGUAGE, textLanguage: TEXT_SEARCH_LANGUAGES[DEFAULT_LANGUAGE] } };
+    const [newsResult, videoResult] = [
+      await News.updateMany(legacy, update).setOptions({ withDeleted: true }),
+      await Video.updateMany(legacy, update).setOptions({ withDeleted: true })
+    ];
+    if (newsResult.modifiedCount || videoResult.modifiedCount) {
+      console.log(`✅ Set the default language on ${newsResult.modifiedCount} article(s) and ${videoResult.modifiedCount} video(s).`);
+    }
+    await News.syncIndexes();
+    await Video.syncIndexes();
+  } catch (error) {
+    console.error('❌ Error while syncing content indexes:', error.message);
+  }
+};
+
 // MongoDB connection
 const connectDB = async () => {
   try {
@@ -102,6 +222,15 @@ const connectDB = async () => {
     await mongoose.connect(mongoURI);
     console.log('✅ Admin Backend: MongoDB connected successfully');
     await seedAdminUser();
+    await seedCategories();
+    await backfillSlugs();
+    await seedTags();
+    await syncContentIndexes();
+
+    // Timed publishing; set SCHEDULER_ENABLED=false on instances that should not run jobs
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      startScheduler();
+    }
   } catch (error) {
     console.error('❌ Admin Backend: MongoDB connection error:', error.message);
     process.exit(1);
@@ -123,11 +252,23 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
+app.use('/api/auth/mfa', mfaRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/admin/invitations', invitationRoutes);
+app.use('/api/admin/audit', auditRoutes);
+app.use('/api/admin/api-keys', apiKeyRoutes);
+app.use('/api/admin/trash', trashRoutes);
+app.use('/api/admin/categories', categoryRoutes);
+app.use('/api/admin/tags', tagRoutes);
+app.use('/api/admin/media', mediaRoutes);
+app.use('/api/admin/alerts', alertRoutes);
+app.use('/api/admin/notifications', notificationRoutes);
+app.use('/api/admin/collections', collectionRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/news', newsRoutes);
 app.use('/api/videos', videoRoutes);
 app.use('/api/feedback', feedbackRoutes);
+app.use('/api/devices', deviceRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -164,6 +305,11 @@ app.use((error, req, res, next) => {
     return res.status(400).json({ success: false, message: errors.join(', ') });
   }
   
+  // A content item was saved by someone else between loading and saving it
+  if (error.name === 'VersionError') {
+    return res.status(409).json({ success: false, message: 'This item was changed by someone else while saving. Reload it and try again.' });
+  }
+  
   if (error.code === 11000) {
     const field = Object.keys(error.keyValue)[0];
     return res.status(409).json({ success: false, message: `A ${field} already exists.` });
@@ -192,8 +338,9 @@ const server = app.listen(PORT, () => {
 // Graceful shutdown
 const gracefulShutdown = (signal) => {
   console.log(`\n${signal} received. Shutting down Admin Backend gracefully...`);
-  server.close(() => {
+  server.close(async () => {
     console.log('Admin Backend HTTP server closed.');
+    await stopScheduler();
     mongoose.connection.close(false, () => {
       console.log('Admin Backend MongoDB connection closed.');
       process.exit(0);
@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Alert = require('../models/Alert');
+const Device = require('../models/Device');
+const { getPushProviderName } = require('./push');
+const { enqueueNotifications, processOutbox } = require('./outbox');
+
+// Breaking-news alerts sent per rolling hour; further ones are recorded as rate_limited
+const BREAKING_ALERTS_PER_HOUR = parseInt(process.env.BREAKING_ALERTS_PER_HOUR, 10) || 3;
+// Silent hours of users without a time zone are read in this one
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+const FAN_OUT_BATCH_SIZE = 500;
+const HOUR_MS = 60 * 60 * 1000;
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// "22:30" -> 1350, or null for anything that is not a 24-hour HH:MM time
+const toMinutes = (value) => {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value || '').trim());
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+// Minutes since midnight at `date` in `timeZone`
+const localMinutes = (date, timeZone) => {
+  const parts = getFormatter(timeZone).formatToParts(date);
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  return get('hour') * 60 + get('minute');
+};
+
+// Whether `now` falls in a user's silent hours (User.preferences.notifications.silentHours),
+// read in their time zone. Windows may wrap past midnight, e.g. 22:00-08:00.
+const isWithinSilentHours = (silentHours, timeZone, now = new Date()) => {
+  if (!silentHours || !silentHours.enabled) return false;
+
+  const start = toMinutes(silentHours.start);
+  const end = toMinutes(silentHours.end);
+  if (start === null || end === null || start === end) return false;
+
+  const current = localMinutes(now, isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE);
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+// Users who want a breaking alert for an article: push and breaking news enabled, and
+// either no preferred categories or the article's among them
+const breakingRecipientFilter = (article) => ({
+  status: 'active',
+  'preferences.notifications.push': { $ne: false },
+  'preferences.notifications.breakingNews': { $ne: false },
+  $or: [
+    { 'preferences.categories.0': { $exists: false } },
+    { 'preferences.categories': article.category }
+  ]
+});
+
+// Queue the alert for every reachable device of these users
+const enqueueForUsers = async (alert, article, userIds) => {
+  const devices = await Device.findReachable(userIds, alert.type).select('user token platform').lean();
+  if (!devices.length) return;
+
+  await enqueueNotifications(devices.map(device => ({
+    type: alert.type,
+    alert: alert._id,
+    user: device.user,
+    device: device._id,
+    token: device.token,
+    platform: device.platform,
+    title: article.title,
+    body: article.summary,
+    data: { type: alert.type, newsId: String(article._id), slug: article.slug }
+  })));
+  alert.stats.queued += devices.length;
+};
+
+// Fan out the breaking-news alert for a published article into the notification outbox
+// and start delivering it. Each article is alerted at most once (claimed through
+// News.breakingAlertedAt), so concurrent saves and server instances cannot send it
+// twice. Returns the Alert, or null when it was already sent.
+const dispatchBreakingAlert = async (article, { triggeredBy } = {}) => {
+  const now = new Date();
+  const claim = await mongoose.model('News').updateOne(
+    { _id: article._id, breakingAlertedAt: null },
+    { $set: { breakingAlertedAt: now } }
+  );
+  if (!claim.modifiedCount) return null;
+
+  const alert = new Alert({
+    type: 'breaking',
+    news: article._id,
+    title: article.title,
+    body: article.summary,
+    category: article.category,
+    provider: getPushProviderName(),
+    triggeredBy
+  });
+
+  const recent = await Alert.countSentSince('breaking', new Date(now.getTime() - HOUR_MS));
+  if (recent >= BREAKING_ALERTS_PER_HOUR) {
+    alert.status = 'rate_limited';
+    alert.completedAt = now;
+    return alert.save();
+  }
+  await alert.save();
+
+  try {
+    const users = User.find(breakingRecipientFilter(article))
+      .select('preferences.notifications.silentHours preferences.timezone')
+      .lean()
+      .cursor();
+
+    let batch = [];
+    for await (const user of users) {
+      alert.stats.eligible += 1;
+      const { notifications = {}, timezone } = user.preferences || {};
+      if (isWithinSilentHours(notifications.silentHours, timezone, now)) {
+        alert.stats.silenced += 1;
+        continue;
+      }
+
+      batch.push(user._id);
+      if (batch.length >= FAN_OUT_BATCH_SIZE) {
+        await enqueueForUsers(alert, article, batch);
+        batch = [];
+      }
+    }
+    if (batch.length) {
+      await enqueueForUsers(alert, article, batch);
+    }
+    alert.queuedAt = new Date();
+  } catch (error) {
+    alert.status = 'failed';
+    alert.error = error.message;
+    alert.completedAt = new Date();
+  }
+  await alert.save();
+
+  // Nothing queued (or everything already delivered) completes the alert right away
+  await Alert.completeIfDelivered(alert._id);
+  processOutbox().catch(error => {
+    console.error('Notification outbox error:', error);
+  });
+  return Alert.findById(alert._id);
+};
+
+module.exports = {
+  BREAKING_ALERTS_PER_HOUR,
+  DEFAULT_TIMEZONE,
+  isWithinSilentHours,
+  dispatchBreakingAlert,
+};
@@ -0,0 +1,65 @@
+const AuditLog = require('../models/AuditLog');
+
+// Fields that change on every save and would only add noise to a diff
+const IGNORED_FIELDS = ['_id', '__v', 'id', 'createdAt', 'updatedAt'];
+
+const toPlain = (doc) => {
+  if (!doc) return {};
+  return typeof doc.toObject === 'function' ? doc.toObject({ virtuals: false, depopulate: true }) : doc;
+};
+
+// Field-level diff of two documents: { before: { field: old }, after: { field: new } }
+// Only top-level fields that differ are included.
+const diffDocuments = (beforeDoc, afterDoc) => {
+  const before = toPlain(beforeDoc);
+  const after = toPlain(afterDoc);
+  const diff = { before: {}, after: {} };
+
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      diff.before[field] = before[field];
+      diff.after[field] = after[field];
+    }
+  }
+  return diff;
+};
+
+// Write an audit entry. Failures are logged, never thrown, so auditing
+// cannot break the request that triggered it.
+// actor defaults to req.user; pass a User document for unauthenticated flows such as login.
+// req may be null for background jobs (e.g. the scheduler), which have no IP or user agent.
+const recordAudit = async (req, { actor, action, targetType, targetId, before, after, metadata }) => {
+  try {
+    const who = actor
+      ? { userId: actor._id || actor.userId, email: actor.email, role: actor.role }
+      : (req && req.user) || {};
+
+    const entry = {
+      actor: who.userId,
+      actorEmail: who.email,
+      actorRole: who.role,
+      apiKey: who.apiKeyId,
+      action,
+      targetType,
+      targetId,
+      metadata,
+      ip: req ? req.ip : undefined,
+      userAgent: req ? (req.get('User-Agent') || '').substring(0, 500) : undefined
+    };
+
+    if (before || after) {
+      entry.changes = diffDocuments(before, after);
+    }
+
+    await AuditLog.create(entry);
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+module.exports = {
+  diffDocuments,
+  recordAudit,
+};
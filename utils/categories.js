@@ -0,0 +1,35 @@
+const News = require('../models/News');
+const Video = require('../models/Video');
+const User = require('../models/User');
+
+const CONTENT_MODELS = {
+  news: News,
+  videos: Video
+};
+
+// Point every reference to category `from` at `to`: content (trashed items included)
+// and, for news, users' preferred categories. Safe to re-run after a partial failure.
+const migrateCategoryReferences = async (contentType, from, to) => {
+  const Model = CONTENT_MODELS[contentType];
+  const content = await Model.updateMany({ category: from }, { $set: { category: to } });
+
+  let users = 0;
+  if (contentType === 'news') {
+    // Add before removing so users who follow both categories end up with one entry
+    await User.updateMany({ 'preferences.categories': from }, { $addToSet: { 'preferences.categories': to } });
+    const result = await User.updateMany({ 'preferences.categories': from }, { $pull: { 'preferences.categories': from } });
+    users = result.modifiedCount;
+  }
+
+  return { content: content.modifiedCount, users };
+};
+
+// Number of items (trashed ones included) filed under a category
+const countCategoryUsage = (contentType, name) => {
+  return CONTENT_MODELS[contentType].countDocuments({ category: name }).setOptions({ withDeleted: true });
+};
+
+module.exports = {
+  migrateCategoryReferences,
+  countCategoryUsage,
+};
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const Collection = require('../models/Collection');
+
+// Member types of a collection as used in the API, and their models
+const ITEM_TYPES = { news: 'News', videos: 'Video' };
+const TYPE_BY_MODEL = { News: 'news', Video: 'videos' };
+
+const ITEM_SELECT = {
+  news: 'title slug status category imageUrl publishedAt',
+  videos: 'title slug status category thumbnailUrl youtubeId duration publishedAt'
+};
+
+const itemKey = (model, id) => `${model}:${id}`;
+
+// Load the items behind collection entries ([{ model, item }]) keyed by itemKey.
+// Trashed items are not found, so they drop out of collections until restored.
+const loadItems = async (entries) => {
+  const byKey = new Map();
+  await Promise.all(Object.entries(ITEM_TYPES).map(async ([type, model]) => {
+    const ids = [...new Set(entries.filter(entry => entry.model === model).map(entry => String(entry.item)))];
+    if (!ids.length) return;
+    const items = await mongoose.model(model).find({ _id: { $in: ids } }).select(ITEM_SELECT[type]).lean();
+    items.forEach(item => byKey.set(itemKey(model, item._id), { type, ...item }));
+  }));
+  return byKey;
+};
+
+// Entries of a collection whose items still exist, in order
+const presentEntries = (collection, byKey) => {
+  return collection.items.filter(entry => byKey.has(itemKey(entry.model, entry.item)));
+};
+
+// The ordered members of a collection with their part number: [{ part, type, _id, title, ... }]
+const resolveItems = async (collection) => {
+  const byKey = await loadItems(collection.items);
+  return presentEntries(collection, byKey).map((entry, index) => ({
+    part: index + 1,
+    ...byKey.get(itemKey(entry.model, entry.item)),
+    addedAt: entry.addedAt
+  }));
+};
+
+// Items ([{ type, id }]) that do not exist or are in the trash, as "type:id" strings
+const findMissingItems = async (items) => {
+  const entries = items.map(({ type, id }) => ({ model: ITEM_TYPES[type], item: id }));
+  const byKey = await loadItems(entries);
+  return items
+    .filter(({ type, id }) => !byKey.has(itemKey(ITEM_TYPES[type], id)))
+    .map(({ type, id }) => `${type}:${id}`);
+};
+
+const summarize = (item) => item && {
+  type: item.type,
+  _id: item._id,
+  title: item.title,
+  slug: item.slug,
+  status: item.status
+};
+
+// "Part N of M" navigation for an item in every collection it belongs to:
+// [{ collection: { _id, title, slug, kind, status }, part, total, previous, next, first, last }]
+const collectionNavigation = async (modelName, id) => {
+  const collections = await Collection.find({ items: { $elemMatch: { model: modelName, item: id } } })
+    .select('title slug kind status items')
+    .lean();
+  if (!collections.length) return [];
+
+  const byKey = await loadItems(collections.flatMap(collection => collection.items));
+  return collections.map(collection => {
+    const members = presentEntries(collection, byKey).map(entry => byKey.get(itemKey(entry.model, entry.item)));
+    const index = members.findIndex(member => member.type === TYPE_BY_MODEL[modelName] && String(member._id) === String(id));
+    return {
+      collection: {
+        _id: collection._id,
+        title: collection.title,
+        slug: collection.slug,
+        kind: collection.kind,
+        status: collection.status
+      },
+      part: index + 1,
+      total: members.length,
+      previous: summarize(members[index - 1]) || null,
+      next: summarize(members[index + 1]) || null,
+      first: summarize(members[0]),
+      last: summarize(members[members.length - 1])
+    };
+  });
+};
+
+module.exports = {
+  ITEM_TYPES,
+  resolveItems,
+  findMissingItems,
+  collectionNavigation,
+};
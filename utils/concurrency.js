@@ -0,0 +1,77 @@
+// Optimistic concurrency for content edits. News and Video use Mongoose's
+// optimisticConcurrency, so every save bumps the version key (__v) and a save based
+// on an older copy fails. Clients read the version from the ETag of a detail route
+// and send it back in If-Match (or as `version` in the body) when they change the item.
+
+// How long an advisory edit lock lasts without being renewed
+const EDIT_LOCK_TTL_MS = (parseInt(process.env.EDIT_LOCK_TTL_SECONDS, 10) || 120) * 1000;
+
+const etagFor = (doc) => `"${doc.__v || 0}"`;
+
+const setVersionHeaders = (res, doc) => {
+  res.set('ETag', etagFor(doc));
+};
+
+// Versions a request is based on: a list of numbers, '*' for "any version", or null
+// when it names none. Weak tags (W/"3") are accepted as well, since proxies that
+// compress responses may weaken the ETag the client received.
+const requestedVersions = (req) => {
+  const header = req.get('If-Match');
+  if (header) {
+    if (header.trim() === '*') return '*';
+    const versions = header.split(',')
+      .map(tag => tag.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1'))
+      .filter(tag => /^\d+$/.test(tag))
+      .map(Number);
+    return versions.length ? versions : null;
+  }
+
+  const { version } = req.body || {};
+  if (version !== undefined && version !== null && /^\d+$/.test(String(version))) {
+    return [Number(version)];
+  }
+  return null;
+};
+
+// Whether the request was based on the current version of doc
+const versionMatches = (req, doc) => {
+  const versions = requestedVersions(req);
+  return versions === '*' || (Array.isArray(versions) && versions.includes(doc.__v || 0));
+};
+
+// Fields of the request body that differ from the server copy: { field: { yours, theirs } }
+const conflictingFields = (doc, data) => {
+  const current = doc.toObject({ virtuals: false, depopulate: true });
+  const diff = {};
+  Object.keys(data || {}).forEach(field => {
+    if (!(field in current) || field === '_id' || field === '__v') return;
+    if (JSON.stringify(data[field]) !== JSON.stringify(current[field])) {
+      diff[field] = { yours: data[field], theirs: current[field] };
+    }
+  });
+  return diff;
+};
+
+// 409 with the server copy and what the client would overwrite, so it can merge and retry
+const sendVersionConflict = (res, doc, data) => {
+  setVersionHeaders(res, doc);
+  return res.status(409).json({
+    success: false,
+    message: 'This item was changed by someone else since you loaded it. Review their changes and try again.',
+    data: {
+      version: doc.__v || 0,
+      current: doc,
+      diff: conflictingFields(doc, data)
+    }
+  });
+};
+
+module.exports = {
+  EDIT_LOCK_TTL_MS,
+  etagFor,
+  setVersionHeaders,
+  requestedVersions,
+  versionMatches,
+  conflictingFields,
+  sendVersionConflict,
+};
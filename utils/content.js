@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const sanitizeHtml = require('sanitize-html');
+const Media = require('../models/Media');
+
+// Article bodies are either legacy HTML ("html", sanitized on save) or a list of
+// structured blocks ("blocks", rendered to HTML on save). Either way News.content holds
+// clean HTML and News.contentText its plain text.
+const CONTENT_FORMATS = ['html', 'blocks'];
+const BLOCK_TYPES = ['paragraph', 'heading', 'image', 'quote', 'embed', 'list'];
+const HEADING_LEVELS = [2, 3, 4];
+const LIST_STYLES = ['unordered', 'ordered'];
+const MAX_BLOCKS = 500;
+const MAX_TEXT_LENGTH = 10000;
+const WORDS_PER_MINUTE = 200;
+
+// Embeds are limited to known providers; `match` extracts what the rendered embed needs
+const EMBED_PROVIDERS = {
+  youtube: {
+    match: /^https?:\/\/(?:www\.|m\.)?(?:youtube\.com\/(?:watch\?v=|embed\/|shorts\/)|youtu\.be\/)([\w-]{11})/,
+    render: ([, videoId]) => `<figure class="embed embed-youtube"><iframe src="https://www.youtube-nocookie.com/embed/${videoId}" title="YouTube video" loading="lazy" allowfullscreen></iframe></figure>`
+  },
+  twitter: {
+    match: /^https?:\/\/(?:www\.|mobile\.)?(?:twitter|x)\.com\/(\w{1,15})\/status\/(\d+)/,
+    render: ([, handle, statusId]) => {
+      const url = `https://twitter.com/${handle}/status/${statusId}`;
+      return `<figure class="embed embed-twitter"><blockquote class="twitter-tweet"><a href="${url}">${url}</a></blockquote></figure>`;
+    }
+  }
+};
+
+const URL_SCHEMES = ['http', 'https', 'mailto'];
+
+// Inline formatting allowed inside paragraphs, quotes and list items
+const INLINE_OPTIONS = {
+  allowedTags: ['b', 'strong', 'i', 'em', 'u', 's', 'a', 'br', 'code', 'sub', 'sup'],
+  allowedAttributes: { a: ['href', 'title', 'rel'] },
+  allowedSchemes: URL_SCHEMES,
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer' })
+  }
+};
+
+// What legacy HTML articles may contain
+const HTML_OPTIONS = {
+  allowedTags: [
+    ...INLINE_OPTIONS.allowedTags,
+    'p', 'h2', 'h3', 'h4', 'ul', 'ol', 'li', 'blockquote', 'footer', 'hr',
+    'figure', 'figcaption', 'img', 'iframe', 'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'srcset', 'sizes', 'alt', 'width', 'height', 'loading'],
+    iframe: ['src', 'title', 'allowfullscreen', 'loading'],
+    blockquote: ['class'],
+    figure: ['class'],
+    th: ['colspan', 'rowspan'],
+    td: ['colspan', 'rowspan']
+  },
+  allowedClasses: {
+    blockquote: ['twitter-tweet'],
+    figure: ['embed', 'embed-youtube', 'embed-twitter', 'image', 'quote']
+  },
+  allowedSchemes: URL_SCHEMES,
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowedIframeHostnames: ['www.youtube.com', 'www.youtube-nocookie.com'],
+  transformTags: INLINE_OPTIONS.transformTags
+};
+
+const escapeHtml = (text) => {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+const sanitizeInline = (html) => sanitizeHtml(String(html || ''), INLINE_OPTIONS).trim();
+
+const sanitizeContentHtml = (html) => sanitizeHtml(String(html || ''), HTML_OPTIONS).trim();
+
+// Plain text of clean HTML: block elements become line breaks, entities are decoded
+const htmlToText = (html) => {
+  const withBreaks = String(html || '').replace(/<\/(p|h[1-6]|li|blockquote|figcaption|figure|tr)>|<br\s*\/?>/gi, '$&\n');
+  return sanitizeHtml(withBreaks, { allowedTags: [], allowedAttributes: {} })
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+};
+
+const readingTimeMinutes = (text) => {
+  const words = String(text || '').split(/\s+/).filter(Boolean).length;
+  return Math.max(1, Math.ceil(words / WORDS_PER_MINUTE));
+};
+
+const isNonEmptyText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Problems with one block, as messages prefixed with its position
+const blockErrors = (block, index) => {
+  const at = `Block ${index + 1}`;
+  if (!block || typeof block !== 'object' || Array.isArray(block)) return [`${at} must be an object`];
+  if (!BLOCK_TYPES.includes(block.type)) return [`${at} has an unknown type (allowed: ${BLOCK_TYPES.join(', ')})`];
+
+  const errors = [];
+  const textFields = ['text', 'caption', 'alt', 'cite'];
+  textFields.forEach(field => {
+    if (block[field] !== undefined && (typeof block[field] !== 'string' || block[field].length > MAX_TEXT_LENGTH)) {
+      errors.push(`${at}: ${field} must be text of at most ${MAX_TEXT_LENGTH} characters`);
+    }
+  });
+
+  switch (block.type) {
+    case 'paragraph':
+    case 'quote':
+      if (!isNonEmptyText(block.text)) errors.push(`${at}: text is required`);
+      break;
+    case 'heading':
+      if (!isNonEmptyText(block.text)) errors.push(`${at}: text is required`);
+      if (!HEADING_LEVELS.includes(Number(block.level || 2))) errors.push(`${at}: level must be one of ${HEADING_LEVELS.join(', ')}`);
+      break;
+    case 'image':
+      if (!mongoose.Types.ObjectId.isValid(block.mediaId)) errors.push(`${at}: mediaId must be a media library ID`);
+      break;
+    case 'embed': {
+      const provider = EMBED_PROVIDERS[block.provider];
+      if (!provider) errors.push(`${at}: provider must be one of ${Object.keys(EMBED_PROVIDERS).join(', ')}`);
+      else if (typeof block.url !== 'string' || !provider.match.test(block.url)) errors.push(`${at}: url is not a valid ${block.provider} link`);
+      break;
+    }
+    case 'list':
+      if (block.style !== undefined && !LIST_STYLES.includes(block.style)) errors.push(`${at}: style must be one of ${LIST_STYLES.join(', ')}`);
+      if (!Array.isArray(block.items) || !block.items.length || !block.items.every(isNonEmptyText)) {
+        errors.push(`${at}: items must be a non-empty list of text`);
+      }
+      break;
+  }
+  return errors;
+};
+
+// Validate a block list, including that image blocks point at existing media.
+// Returns a list of error messages (empty when valid).
+const validateBlocks = async (blocks) => {
+  if (!Array.isArray(blocks) || !blocks.length) return ['Blocks must be a non-empty array'];
+  if (blocks.length > MAX_BLOCKS) return [`An article cannot have more than ${MAX_BLOCKS} blocks`];
+
+  const errors = blocks.flatMap(blockErrors);
+  if (errors.length) return errors;
+
+  const mediaIds = [...new Set(blocks.filter(block => block.type === 'image').map(block => String(block.mediaId)))];
+  if (mediaIds.length) {
+    const found = await Media.countDocuments({ _id: { $in: mediaIds } });
+    if (found !== mediaIds.length) errors.push('An image block refers to media that does not exist');
+  }
+  return errors;
+};
+
+const renderImage = (block, media) => {
+  if (!media) return '';
+  const large = media.renditions.find(rendition => rendition.name === 'large');
+  const srcset = [...media.renditions]
+    .sort((a, b) => a.width - b.width)
+    .map(rendition => `${rendition.url} ${rendition.width}w`)
+    .join(', ');
+  const attributes = [
+    `src="${escapeHtml(large ? large.url : media.url)}"`,
+    srcset && `srcset="${escapeHtml(srcset)}" sizes="(max-width: 800px) 100vw, 800px"`,
+    `alt="${escapeHtml(block.alt || media.alt || '')}"`,
+    large ? `width="${large.width}" height="${large.height}"` : `width="${media.width}" height="${media.height}"`,
+    'loading="lazy"'
+  ].filter(Boolean).join(' ');
+
+  const caption = [
+    block.caption && sanitizeInline(block.caption),
+    media.credit && `<small>${escapeHtml(media.credit)}</small>`
+  ].filter(Boolean).join(' ');
+
+  return `<figure class="image"><img ${attributes}>${caption ? `<figcaption>${caption}</figcaption>` : ''}</figure>`;
+};
+
+const renderBlock = (block, mediaById) => {
+  switch (block.type) {
+    case 'paragraph':
+      return `<p>${sanitizeInline(block.text)}</p>`;
+    case 'heading': {
+      const level = Number(block.level || 2);
+      return `<h${level}>${escapeHtml(block.text.trim())}</h${level}>`;
+    }
+    case 'image':
+      return renderImage(block, mediaById.get(String(block.mediaId)));
+    case 'quote': {
+      const cite = block.cite ? `<footer>${escapeHtml(block.cite.trim())}</footer>` : '';
+      return `<blockquote><p>${sanitizeInline(block.text)}</p>${cite}</blockquote>`;
+    }
+    case 'embed': {
+      const provider = EMBED_PROVIDERS[block.provider];
+      return provider.render(block.url.match(provider.match));
+    }
+    case 'list': {
+      const tag = block.style === 'ordered' ? 'ol' : 'ul';
+      return `<${tag}>${block.items.map(item => `<li>${sanitizeInline(item)}</li>`).join('')}</${tag}>`;
+    }
+    default:
+      return '';
+  }
+};
+
+// Clean HTML for a validated block list. Image blocks whose media has since been
+// deleted are left out.
+const renderBlocks = async (blocks) => {
+  const mediaIds = (blocks || []).filter(block => block.type === 'image').map(block => block.mediaId);
+  const media = mediaIds.length ? await Media.find({ _id: { $in: mediaIds } }) : [];
+  const mediaById = new Map(media.map(item => [String(item._id), item]));
+  return (blocks || []).map(block => renderBlock(block, mediaById)).join('\n');
+};
+
+module.exports = {
+  CONTENT_FORMATS,
+  BLOCK_TYPES,
+  EMBED_PROVIDERS,
+  sanitizeContentHtml,
+  htmlToText,
+  readingTimeMinutes,
+  validateBlocks,
+  renderBlocks,
+};
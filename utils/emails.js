@@ -0,0 +1,55 @@
+const { sendMail, buildAppLink } = require('./mailer');
+
+const minutesUntil = (date) => Math.max(1, Math.round((date - Date.now()) / 60000));
+
+// Password reset link for an admin who forgot their password
+const sendPasswordResetEmail = (user, token) => {
+  const link = buildAppLink('/reset-password', { token });
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Abhaya News admin password',
+    text: `Hello ${user.name},\n\n`
+      + 'We received a request to reset your password. Use the link below to choose a new one:\n\n'
+      + `${link}\n\n`
+      + `This link can be used once and expires in ${minutesUntil(user.resetPasswordExpire)} minutes. `
+      + 'If you did not request a reset, you can ignore this email.'
+  });
+};
+
+// Confirmation link for a new or changed email address
+const sendVerificationEmail = (user, token) => {
+  const link = buildAppLink('/verify-email', { token });
+  const hours = Math.round(minutesUntil(user.emailVerificationExpire) / 60);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your Abhaya News email address',
+    text: `Hello ${user.name},\n\n`
+      + 'Please confirm your email address by opening the link below:\n\n'
+      + `${link}\n\n`
+      + `This link expires in ${hours} hour(s).`
+  });
+};
+
+// Invitation to join the admin portal with a preassigned role
+const sendInvitationEmail = (invitation, inviter, token) => {
+  const link = buildAppLink('/accept-invite', { token });
+  const days = Math.round(minutesUntil(invitation.expiresAt) / 60 / 24);
+
+  return sendMail({
+    to: invitation.email,
+    subject: 'You have been invited to the Abhaya News admin portal',
+    text: 'Hello,\n\n'
+      + `${inviter.name} has invited you to join the Abhaya News admin portal as ${invitation.role.replace('_', ' ')}.\n\n`
+      + 'Open the link below to set your name and password:\n\n'
+      + `${link}\n\n`
+      + `This invitation expires in ${days} day(s).`
+  });
+};
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendInvitationEmail,
+};
@@ -0,0 +1,96 @@
+const fs = require('fs/promises');
+const jwt = require('jsonwebtoken');
+
+const FIREBASE_PROJECT_ID = process.env.FIREBASE_PROJECT_ID;
+// JSON object of { kid: PEM certificate or public key }. When set it replaces the
+// Google endpoint entirely, which lets tests and offline setups use local keys.
+const FIREBASE_PUBLIC_KEYS_FILE = process.env.FIREBASE_PUBLIC_KEYS_FILE;
+const FIREBASE_PUBLIC_KEYS_URL = process.env.FIREBASE_PUBLIC_KEYS_URL
+  || 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+
+let cachedKeys = null;
+let cachedUntil = 0;
+
+// Replace the key set directly (useful in tests); pass null to reload from config
+const setFirebasePublicKeys = (keys) => {
+  cachedKeys = keys;
+  cachedUntil = keys ? Infinity : 0;
+};
+
+const fetchPublicKeys = async () => {
+  if (FIREBASE_PUBLIC_KEYS_FILE) {
+    return { keys: JSON.parse(await fs.readFile(FIREBASE_PUBLIC_KEYS_FILE, 'utf8')), maxAge: Infinity };
+  }
+
+  const response = await fetch(FIREBASE_PUBLIC_KEYS_URL);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch Firebase public keys (HTTP ${response.status})`);
+  }
+
+  // Google rotates keys and tells us how long to cache them
+  const cacheControl = response.headers.get('cache-control') || '';
+  const maxAgeMatch = /max-age=(\d+)/.exec(cacheControl);
+  return {
+    keys: await response.json(),
+    maxAge: maxAgeMatch ? parseInt(maxAgeMatch[1], 10) * 1000 : 60 * 60 * 1000
+  };
+};
+
+const getPublicKeys = async () => {
+  if (!cachedKeys || Date.now() >= cachedUntil) {
+    const { keys, maxAge } = await fetchPublicKeys();
+    cachedKeys = keys;
+    cachedUntil = Date.now() + maxAge;
+  }
+  return cachedKeys;
+};
+
+// Verify a Firebase ID token and return its claims.
+// Throws an error with name "FirebaseAuthError" when the token is not acceptable.
+const verifyFirebaseIdToken = async (idToken) => {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.name = 'FirebaseAuthError';
+    return error;
+  };
+
+  if (!FIREBASE_PROJECT_ID) {
+    throw new Error('FIREBASE_PROJECT_ID is not configured');
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header || decoded.header.alg !== 'RS256' || !decoded.header.kid) {
+    throw fail('Malformed Firebase ID token');
+  }
+
+  const keys = await getPublicKeys();
+  const publicKey = keys[decoded.header.kid];
+  if (!publicKey) {
+    throw fail('Firebase ID token was signed with an unknown key');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, publicKey, {
+      algorithms: ['RS256'],
+      audience: FIREBASE_PROJECT_ID,
+      issuer: `https://securetoken.google.com/${FIREBASE_PROJECT_ID}`
+    });
+  } catch (error) {
+    throw fail(`Invalid Firebase ID token: ${error.message}`);
+  }
+
+  if (!claims.sub || typeof claims.sub !== 'string' || claims.sub.length > 128) {
+    throw fail('Firebase ID token has an invalid subject');
+  }
+  if (claims.auth_time && claims.auth_time * 1000 > Date.now() + 5 * 60 * 1000) {
+    throw fail('Firebase ID token has an invalid auth time');
+  }
+
+  return claims;
+};
+
+module.exports = {
+  setFirebasePublicKeys,
+  verifyFirebaseIdToken,
+};
@@ -0,0 +1,90 @@
+const sharp = require('sharp');
+
+// Accepted upload types; the declared MIME type must match the decoded content
+const IMAGE_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp', gif: 'gif' };
+
+// Resized copies generated for every upload, by maximum width. Images narrower than
+// a rendition are not upscaled; that rendition is skipped.
+const RENDITIONS = {
+  thumbnail: 320,
+  medium: 800,
+  large: 1600
+};
+
+// Decode the upload and check it is really an image of the declared type.
+// Returns { format, width, height }, or { error } for files that must be rejected.
+const inspectImage = async (buffer, mimeType) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    return { error: 'File is not a readable image' };
+  }
+
+  if (IMAGE_FORMATS[mimeType] !== metadata.format) {
+    return { error: `File content (${metadata.format}) does not match its type (${mimeType})` };
+  }
+
+  // EXIF orientations 5-8 swap the displayed width and height
+  const rotated = metadata.orientation >= 5;
+  return {
+    format: metadata.format,
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height
+  };
+};
+
+// The upload re-encoded in its own format with the EXIF orientation applied and all
+// metadata (camera details, GPS location) dropped, since originals are served publicly.
+// Returns { buffer, size }.
+const stripMetadata = async (buffer, { format }) => {
+  const data = await sharp(buffer, { animated: true })
+    .rotate()
+    .toFormat(format, { quality: 95 })
+    .toBuffer();
+  return { buffer: data, size: data.length };
+};
+
+// Resized copies of the image in its own format (animated GIFs become still WebP).
+// Returns [{ name, buffer, width, height, format, mimeType }].
+const createRenditions = async (buffer, { format, width }) => {
+  const outputFormat = format === 'gif' ? 'webp' : format;
+  const renditions = [];
+
+  for (const [name, maxWidth] of Object.entries(RENDITIONS)) {
+    if (width <= maxWidth) continue;
+
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize({ width: maxWidth, withoutEnlargement: true })
+      .toFormat(outputFormat, { quality: 82 })
+      .toBuffer({ resolveWithObject: true });
+
+    renditions.push({
+      name,
+      buffer: data,
+      width: info.width,
+      height: info.height,
+      format: outputFormat,
+      mimeType: `image/${outputFormat}`
+    });
+  }
+
+  return renditions;
+};
+
+module.exports = {
+  IMAGE_FORMATS,
+  EXTENSIONS,
+  RENDITIONS,
+  inspectImage,
+  stripMetadata,
+  createRenditions,
+};
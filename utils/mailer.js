@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Abhaya News <no-reply@abhaya.com>';
+const ADMIN_APP_URL = (process.env.ADMIN_APP_URL || 'http://localhost:5173').replace(/\/+$/, '');
+
+// Transport factories, selected with MAIL_TRANSPORT. Each transport exposes
+// `send(message)` returning a promise; message is { from, to, subject, text, html }.
+const transports = {
+  // Logs messages to stdout - the default for local development
+  console: () => ({
+    send: async (message) => {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  }),
+
+  // Writes each message as a JSON file, handy for offline testing
+  file: () => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'abhaya-news-mail');
+    return {
+      send: async (message) => {
+        await fs.mkdir(dir, { recursive: true });
+        const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+        await fs.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+      }
+    };
+  }
+};
+
+let activeTransport = null;
+
+// Make an additional transport (e.g. SMTP or an email API) selectable by name
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+// Replace the active transport directly (useful in tests)
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transports[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+const sendMail = ({ to, subject, text, html }) => {
+  return getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+};
+
+// Build a link into the admin panel, e.g. buildAppLink('/reset-password', { token })
+const buildAppLink = (pathname, params = {}) => {
+  const query = new URLSearchParams(params).toString();
+  return `${ADMIN_APP_URL}${pathname}${query ? `?${query}` : ''}`;
+};
+
+module.exports = {
+  registerTransport,
+  setTransport,
+  sendMail,
+  buildAppLink,
+};
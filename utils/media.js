@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const Media = require('../models/Media');
+const { getStorage } = require('./storage');
+const { EXTENSIONS, inspectImage, stripMetadata, createRenditions } = require('./images');
+
+// "2025/06/3f9c1a2b7d4e5f60" - grouped by month, unguessable, never reused
+const newKeyPrefix = (now = new Date()) => {
+  const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+  return `${now.getUTCFullYear()}/${month}/${crypto.randomBytes(8).toString('hex')}`;
+};
+
+// Validate an uploaded image (a multer memory-storage file), write the original (without
+// its metadata) and its renditions to storage and record it. Returns { media } or { error } for rejected files.
+// Files already written are removed again when a later step fails.
+const storeImage = async (file, { title, alt, credit }, userId) => {
+  const info = await inspectImage(file.buffer, file.mimetype);
+  if (info.error) return { error: info.error };
+
+  const storage = getStorage();
+  const prefix = newKeyPrefix();
+  const written = [];
+
+  try {
+    const original = await stripMetadata(file.buffer, info);
+    const key = `${prefix}.${EXTENSIONS[info.format]}`;
+    await storage.put(key, original.buffer, file.mimetype);
+    written.push(key);
+
+    const renditions = [];
+    for (const rendition of await createRenditions(original.buffer, info)) {
+      const renditionKey = `${prefix}-${rendition.name}.${EXTENSIONS[rendition.format]}`;
+      await storage.put(renditionKey, rendition.buffer, rendition.mimeType);
+      written.push(renditionKey);
+      renditions.push({
+        name: rendition.name,
+        key: renditionKey,
+        url: storage.url(renditionKey),
+        mimeType: rendition.mimeType,
+        width: rendition.width,
+        height: rendition.height,
+        size: rendition.buffer.length
+      });
+    }
+
+    const media = await Media.create({
+      title: title || file.originalname,
+      alt,
+      credit,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: original.size,
+      width: info.width,
+      height: info.height,
+      storage: process.env.MEDIA_STORAGE || 'local',
+      key,
+      url: storage.url(key),
+      renditions,
+      uploadedBy: userId
+    });
+    return { media };
+  } catch (error) {
+    await Promise.allSettled(written.map(key => storage.remove(key)));
+    throw error;
+  }
+};
+
+// Remove a media item's files, then its record
+const deleteMedia = async (media) => {
+  const storage = getStorage();
+  await Promise.all(media.getKeys().map(key => storage.remove(key)));
+  await Media.deleteOne({ _id: media._id });
+};
+
+module.exports = {
+  storeImage,
+  deleteMedia,
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const { JWT_SECRET, hashToken } = require('./tokens');
+
+const MFA_ISSUER = process.env.MFA_ISSUER || 'Abhaya News Admin';
+const MFA_ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.MFA_ENCRYPTION_KEY || JWT_SECRET)
+  .digest();
+
+// Roles that must have two-factor authentication enabled to sign in, e.g. "super_admin,admin"
+const MFA_REQUIRED_ROLES = (process.env.MFA_REQUIRED_ROLES || '')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+const TOTP_PERIOD = 30; // seconds
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // accept one step of clock drift either way
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// --- Base32 (RFC 4648) ---
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// --- HOTP / TOTP (RFC 4226 / RFC 6238) ---
+
+const hotp = (key, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_PERIOD);
+
+const generateTotp = (secret, step = currentStep()) => hotp(base32Decode(secret), step);
+
+// Returns the matching time step, or null when the code is not valid.
+// Steps at or before `lastUsedStep` are rejected so a code cannot be replayed.
+const verifyTotp = (secret, code, lastUsedStep) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+  const key = base32Decode(secret);
+  const step = currentStep();
+
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const candidate = step + drift;
+    if (lastUsedStep !== undefined && lastUsedStep !== null && candidate <= lastUsedStep) continue;
+
+    const expected = hotp(key, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// otpauth:// URI for authenticator apps; the admin panel renders it as a QR code
+const buildOtpAuthUrl = (secret, accountName) => {
+  const label = encodeURIComponent(`${MFA_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: MFA_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// --- Secret encryption at rest (AES-256-GCM) ---
+
+const encryptSecret = (plain) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', MFA_ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = String(stored).split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', MFA_ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// --- Recovery codes ---
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+
+// Returns { codes, hashes }: plain codes are shown once, only hashes are stored
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.substring(0, 5)}-${raw.substring(5)}`);
+  }
+  return { codes, hashes: codes.map(code => hashToken(normalizeRecoveryCode(code))) };
+};
+
+const hashRecoveryCode = (code) => hashToken(normalizeRecoveryCode(code));
+
+const isMfaRequiredForRole = (role) => MFA_REQUIRED_ROLES.includes(role);
+
+module.exports = {
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpAuthUrl,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  isMfaRequiredForRole,
+};
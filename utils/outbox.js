@@ -0,0 +1,119 @@
+const os = require('os');
+const crypto = require('crypto');
+const Notification = require('../models/Notification');
+const Device = require('../models/Device');
+const Alert = require('../models/Alert');
+const JobLock = require('../models/JobLock');
+const { sendPush } = require('./push');
+
+// Delivery of the notification outbox. Queued notifications are sent in batches
+// through the push provider; failures are retried with exponential backoff until
+// OUTBOX_MAX_ATTEMPTS, and tokens the provider rejects are dead-lettered and their
+// device invalidated. A JobLock lease ensures only one instance delivers at a time.
+const OUTBOX_MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 5;
+const OUTBOX_RETRY_BASE_SECONDS = parseInt(process.env.OUTBOX_RETRY_BASE_SECONDS, 10) || 30;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 500;
+const LOCK_NAME = 'notification-outbox';
+const LOCK_TTL_MS = 60 * 1000;
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+let running = false;
+
+// 30s, 1m, 2m, 4m, ... capped at an hour
+const retryDelayMs = (attempts) => Math.min(OUTBOX_RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+const enqueueNotifications = (notifications) => {
+  return Notification.insertMany(notifications, { ordered: false });
+};
+
+// Send one batch and record each outcome; returns counts per outcome
+const deliverBatch = async (messages, now) => {
+  let results;
+  try {
+    results = await sendPush(messages.map(({ token, platform, title, body, data }) => ({ token, platform, title, body, data })));
+  } catch (error) {
+    // The provider itself is unreachable: every message in the batch is retried
+    results = messages.map(() => ({ ok: false, error: error.message }));
+  }
+  const counts = { sent: 0, retried: 0, failed: 0, dead: 0 };
+  const alertCounts = new Map();
+  const invalidDevices = [];
+
+  const operations = messages.map((message, index) => {
+    const result = results[index] || { ok: false, error: 'No result from the push provider' };
+    const attempts = message.attempts + 1;
+    let update;
+
+    if (result.ok) {
+      update = { status: 'sent', attempts, sentAt: now, completedAt: now, lastError: null };
+      counts.sent += 1;
+    } else if (result.invalidToken) {
+      update = { status: 'dead', attempts, completedAt: now, lastError: result.error || 'Invalid device token' };
+      invalidDevices.push(message.device);
+      counts.dead += 1;
+    } else if (attempts >= OUTBOX_MAX_ATTEMPTS) {
+      update = { status: 'failed', attempts, completedAt: now, lastError: result.error || 'Delivery failed' };
+      counts.failed += 1;
+    } else {
+      update = { attempts, nextAttemptAt: new Date(now.getTime() + retryDelayMs(attempts)), lastError: result.error || 'Delivery failed' };
+      counts.retried += 1;
+    }
+
+    if (message.alert && update.status) {
+      const key = String(message.alert);
+      const tally = alertCounts.get(key) || { sent: 0, failed: 0 };
+      tally[update.status === 'sent' ? 'sent' : 'failed'] += 1;
+      alertCounts.set(key, tally);
+    }
+
+    return { updateOne: { filter: { _id: message._id }, update: { $set: update } } };
+  });
+
+  await Notification.bulkWrite(operations, { ordered: false });
+  if (invalidDevices.length) {
+    await Device.invalidate(invalidDevices, 'Token rejected by the push provider');
+  }
+  for (const [alertId, tally] of alertCounts) {
+    await Alert.recordDeliveries(alertId, tally);
+  }
+  return counts;
+};
+
+// Deliver everything due at `now`. Returns the counts, or null when another run (here
+// or on another instance) holds the outbox. Exported so it can be run on demand.
+const processOutbox = async (now = new Date()) => {
+  if (running) return null;
+  running = true;
+  try {
+    if (!await JobLock.acquire(LOCK_NAME, INSTANCE_ID, LOCK_TTL_MS)) return null;
+
+    const totals = { sent: 0, retried: 0, failed: 0, dead: 0 };
+    for (;;) {
+      // Retried messages move past `now`, so every pass makes progress
+      const due = await Notification.find({ status: 'queued', nextAttemptAt: { $lte: now } })
+        .sort({ nextAttemptAt: 1 })
+        .limit(BATCH_SIZE)
+        .lean();
+      if (!due.length) break;
+
+      const counts = await deliverBatch(due, now);
+      Object.keys(totals).forEach(key => { totals[key] += counts[key]; });
+
+      if (due.length < BATCH_SIZE) break;
+      await JobLock.acquire(LOCK_NAME, INSTANCE_ID, LOCK_TTL_MS);
+    }
+    return totals;
+  } finally {
+    running = false;
+  }
+};
+
+const releaseOutbox = () => JobLock.release(LOCK_NAME, INSTANCE_ID);
+
+module.exports = {
+  OUTBOX_MAX_ATTEMPTS,
+  enqueueNotifications,
+  processOutbox,
+  releaseOutbox,
+};
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+
+const flag = (value, fallback) => (value === undefined ? fallback : value === 'true');
+
+// Whole-number setting where 0 is meaningful (it turns the check off)
+const count = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const PASSWORD_POLICY = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 10,
+  requireUppercase: flag(process.env.PASSWORD_REQUIRE_UPPERCASE, true),
+  requireLowercase: flag(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+  requireNumber: flag(process.env.PASSWORD_REQUIRE_NUMBER, true),
+  requireSymbol: flag(process.env.PASSWORD_REQUIRE_SYMBOL, true),
+  // Number of most recent passwords (including the current one) that cannot be reused; 0 allows reuse
+  historyCount: count(process.env.PASSWORD_HISTORY_COUNT, 5),
+  // Force a change at login once a password is older than this; 0 disables the check
+  maxAgeDays: count(process.env.PASSWORD_MAX_AGE_DAYS, 0)
+};
+
+const BREACHED_PASSWORDS_FILE = process.env.BREACHED_PASSWORDS_FILE
+  || path.join(__dirname, '..', 'data', 'breached-passwords.txt');
+
+let breachedPasswords = null;
+
+// Loaded lazily and kept in memory; lines starting with "#" are comments
+const getBreachedPasswords = () => {
+  if (!breachedPasswords) {
+    breachedPasswords = new Set(
+      fs.readFileSync(BREACHED_PASSWORDS_FILE, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return breachedPasswords;
+};
+
+// Parts of the user's identity that must not appear in their password
+const identityFragments = ({ name, email } = {}) => {
+  const fragments = [];
+  if (email) {
+    fragments.push(...String(email).toLowerCase().split('@')[0].split(/[^a-z0-9]+/));
+  }
+  if (name) {
+    fragments.push(...String(name).toLowerCase().split(/\s+/));
+  }
+  return fragments.filter(fragment => fragment.length >= 3);
+};
+
+// Returns a list of policy violations; an empty list means the password is acceptable
+const validatePassword = (password, user = {}) => {
+  const problems = [];
+  const value = String(password || '');
+  const lower = value.toLowerCase();
+
+  if (value.length < PASSWORD_POLICY.minLength) {
+    problems.push(`Password must be at least ${PASSWORD_POLICY.minLength} characters long`);
+  }
+  if (PASSWORD_POLICY.requireUppercase && !/[A-Z]/.test(value)) {
+    problems.push('Password must contain an uppercase letter');
+  }
+  if (PASSWORD_POLICY.requireLowercase && !/[a-z]/.test(value)) {
+    problems.push('Password must contain a lowercase letter');
+  }
+  if (PASSWORD_POLICY.requireNumber && !/\d/.test(value)) {
+    problems.push('Password must contain a number');
+  }
+  if (PASSWORD_POLICY.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    problems.push('Password must contain a symbol');
+  }
+  if (identityFragments(user).some(fragment => lower.includes(fragment))) {
+    problems.push('Password must not contain your name or email address');
+  }
+  if (getBreachedPasswords().has(lower)) {
+    problems.push('This password has appeared in a data breach. Please choose another one');
+  }
+
+  return problems;
+};
+
+// Accounts from before password ages were tracked count from their creation
+const isPasswordExpired = (user) => {
+  const changedAt = user.passwordChangedAt || user.createdAt;
+  if (!PASSWORD_POLICY.maxAgeDays || !changedAt) return false;
+  return Date.now() - new Date(changedAt).getTime() > PASSWORD_POLICY.maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+module.exports = {
+  PASSWORD_POLICY,
+  validatePassword,
+  isPasswordExpired,
+};
@@ -0,0 +1,81 @@
+// Push providers, selected with PUSH_PROVIDER. Each provider exposes
+// `send(notifications)` returning a promise of one result per notification, in order:
+// notification is { token, platform, title, body, data } and result is
+// { ok, error, invalidToken } - invalidToken tells the outbox to stop using the device.
+const providers = {
+  // Logs notifications to stdout - the default for local development
+  console: () => ({
+    send: async (notifications) => {
+      notifications.forEach(({ token, platform, title }) => console.log(`🔔 Push to ${platform} ${token.slice(0, 12)}…: ${title}`));
+      return notifications.map(() => ({ ok: true }));
+    }
+  }),
+
+  // Keeps notifications in memory instead of sending them, for tests. Deliveries to
+  // tokens in `failFor` fail and tokens in `invalidTokens` are rejected as invalid.
+  memory: ({ failFor = new Set(), invalidTokens = new Set() } = {}) => {
+    const sent = [];
+    return {
+      sent,
+      send: async (notifications) => {
+        return notifications.map(notification => {
+          if (invalidTokens.has(notification.token)) {
+            return { ok: false, invalidToken: true, error: 'Token is not registered' };
+          }
+          if (failFor.has(notification.token)) {
+            return { ok: false, error: 'Delivery failed' };
+          }
+          sent.push(notification);
+          return { ok: true };
+        });
+      }
+    };
+  }
+};
+
+let activeProvider = null;
+let activeProviderName = null;
+
+// Make an additional provider (e.g. FCM or APNs) selectable by name
+const registerPushProvider = (name, factory) => {
+  providers[name] = factory;
+};
+
+// Replace the active provider directly (useful in tests), e.g.
+// setPushProvider(createPushProvider('memory'), 'memory')
+const setPushProvider = (provider, name = 'custom') => {
+  activeProvider = provider;
+  activeProviderName = provider ? name : null;
+};
+
+const createPushProvider = (name, options) => {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown push provider: ${name}`);
+  }
+  return factory(options);
+};
+
+const getPushProvider = () => {
+  if (!activeProvider) {
+    const name = process.env.PUSH_PROVIDER || 'console';
+    setPushProvider(createPushProvider(name), name);
+  }
+  return activeProvider;
+};
+
+const getPushProviderName = () => {
+  getPushProvider();
+  return activeProviderName;
+};
+
+const sendPush = (notifications) => getPushProvider().send(notifications);
+
+module.exports = {
+  registerPushProvider,
+  setPushProvider,
+  createPushProvider,
+  getPushProvider,
+  getPushProviderName,
+  sendPush,
+};
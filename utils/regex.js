@@ -0,0 +1,6 @@
+// Escape user input for use inside a MongoDB $regex, e.g. for prefix and substring search
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  escapeRegex,
+};
@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const { TEXT_SEARCH_LANGUAGES } = require('../config/languages');
+const { actorHasPermission } = require('../config/permissions');
+
+// Related content links between news and videos. A link is stored on both items
+// (`related`, see models/plugins/relatable.js) in the order editors arranged it.
+// Models are looked up lazily since the models themselves use this module.
+const RELATED_TYPES = { news: 'News', videos: 'Video' };
+const TYPE_BY_MODEL = { News: 'news', Video: 'videos' };
+const MAX_RELATED = 20;
+
+// Fields shown for a related item, per type
+const RELATED_SELECT = {
+  news: 'title slug status category tags imageUrl language publishedAt',
+  videos: 'title slug status category tags thumbnailUrl youtubeId duration language publishedAt'
+};
+
+// Ranking weights for suggestions
+const SHARED_TAG_WEIGHT = 3;
+const SAME_CATEGORY_WEIGHT = 2;
+const TEXT_MATCH_WEIGHT = 1;
+const CANDIDATES_PER_SOURCE = 50;
+
+const sameLink = (a, b) => a.model === b.model && String(a.item) === String(b.item);
+
+// Drop links to these items from every other item. Used when items are trashed or
+// unpublished, so nothing points at content readers cannot see. The items keep their
+// own lists, and relinkRelated shows them again once they are back.
+const unlinkRelated = async (modelName, ids) => {
+  if (!ids.length) return;
+  await Promise.all(Object.values(RELATED_TYPES).map(name => mongoose.model(name).updateMany(
+    { related: { $elemMatch: { model: modelName, item: { $in: ids } } } },
+    { $pull: { related: { model: modelName, item: { $in: ids } } } }
+  ).setOptions({ withDeleted: true })));
+};
+
+// Add `doc` back to the related lists of the items on its own list (after it is
+// republished or restored from the trash), at the end and while they have room
+const relinkRelated = async (doc) => {
+  const backLink = { model: doc.constructor.modelName, item: doc._id };
+  await Promise.all((doc.related || []).map(link => mongoose.model(link.model).updateOne(
+    {
+      _id: link.item,
+      deletedAt: null,
+      related: { $not: { $elemMatch: backLink } },
+      [`related.${MAX_RELATED - 1}`]: { $exists: false }
+    },
+    { $push: { related: backLink } }
+  )));
+};
+
+// Replace the ordered related items of `doc` with `items` ([{ type, id }]) and keep
+// the other side of each link in step: new links are appended to the linked item,
+// removed ones are taken off it. Both sides must be published, and since the linked
+// items change too, the actor (req.user) needs update permission on their types.
+// Returns { related } or { status, error }.
+const setRelated = async (doc, items, actor) => {
+  const modelName = doc.constructor.modelName;
+  if (doc.status !== 'published') {
+    return { status: 409, error: 'Only published items can have related content' };
+  }
+
+  const links = [];
+  items.forEach(({ type, id }) => {
+    const link = { model: RELATED_TYPES[type], item: String(id) };
+    if (!links.some(existing => sameLink(existing, link))) links.push(link);
+  });
+
+  if (links.some(link => link.model === modelName && link.item === String(doc._id))) {
+    return { status: 400, error: 'An item cannot be related to itself' };
+  }
+  if (links.length > MAX_RELATED) {
+    return { status: 400, error: `An item can have at most ${MAX_RELATED} related items` };
+  }
+
+  const before = (doc.related || []).map(link => ({ model: link.model, item: String(link.item) }));
+  const added = links.filter(link => !before.some(existing => sameLink(existing, link)));
+  const removed = before.filter(link => !links.some(existing => sameLink(existing, link)));
+  const backLink = { model: modelName, item: doc._id };
+
+  for (const [type, name] of Object.entries(RELATED_TYPES)) {
+    if (![...added, ...removed].some(link => link.model === name)) continue;
+    if (!actorHasPermission(actor, `${type}:update`)) {
+      return { status: 403, error: `Access denied. Missing permission: ${type}:update.` };
+    }
+  }
+
+  // Newly linked items must exist, be out of the trash and be published
+  for (const [type, name] of Object.entries(RELATED_TYPES)) {
+    const ids = added.filter(link => link.model === name).map(link => link.item);
+    if (!ids.length) continue;
+    const found = await mongoose.model(name).find({ _id: { $in: ids }, status: 'published' }).distinct('_id');
+    const missing = ids.filter(id => !found.some(foundId => String(foundId) === id));
+    if (missing.length) {
+      return { status: 400, error: `Related ${type} not found or not published: ${missing.join(', ')}` };
+    }
+  }
+
+  // Written directly so linking neither bumps versions nor creates revisions
+  await doc.constructor.updateOne({ _id: doc._id }, { $set: { related: links } });
+  await Promise.all([
+    ...added.map(link => mongoose.model(link.model).updateOne(
+      { _id: link.item, related: { $not: { $elemMatch: backLink } } },
+      { $push: { related: backLink } }
+    )),
+    ...removed.map(link => mongoose.model(link.model).updateOne(
+      { _id: link.item },
+      { $pull: { related: backLink } }
+    ))
+  ]);
+
+  return { related: links };
+};
+
+// The related items of `doc`, in order: [{ type, _id, title, ... }]
+const listRelated = async (doc) => {
+  const links = doc.related || [];
+  const itemsByKey = new Map();
+
+  await Promise.all(Object.entries(RELATED_TYPES).map(async ([type, name]) => {
+    const ids = links.filter(link => link.model === name).map(link => link.item);
+    if (!ids.length) return;
+    const items = await mongoose.model(name).find({ _id: { $in: ids } }).select(RELATED_SELECT[type]).lean();
+    items.forEach(item => itemsByKey.set(`${name}:${item._id}`, { type, ...item }));
+  }));
+
+  return links
+    .map(link => itemsByKey.get(`${link.model}:${link.item}`))
+    .filter(Boolean);
+};
+
+// Published items of one type in the language of `doc` that share tags or the category
+// with it, or match its title and tags through the type's text index
+const findCandidates = async (doc, type, exclude) => {
+  const Model = mongoose.model(RELATED_TYPES[type]);
+  const base = {
+    _id: { $nin: exclude },
+    status: 'published',
+    language: doc.language
+  };
+  const select = RELATED_SELECT[type];
+
+  const [byMetadata, byText] = await Promise.all([
+    Model.find({
+      ...base,
+      $or: [
+        ...(doc.tags && doc.tags.length ? [{ tags: { $in: doc.tags } }] : []),
+        { category: doc.category }
+      ]
+    })
+      .select(select)
+      .sort({ publishedAt: -1 })
+      .limit(CANDIDATES_PER_SOURCE)
+      .lean(),
+    Model.find({
+      ...base,
+      $text: {
+        $search: [doc.title, ...(doc.tags || [])].join(' '),
+        $language: TEXT_SEARCH_LANGUAGES[doc.language] || 'none'
+      }
+    }, { textScore: { $meta: 'textScore' } })
+      .select(select)
+      .sort({ textScore: { $meta: 'textScore' } })
+      .limit(CANDIDATES_PER_SOURCE)
+      .lean()
+  ]);
+
+  const candidates = new Map(byMetadata.map(item => [String(item._id), item]));
+  byText.forEach(item => {
+    candidates.set(String(item._id), { ...candidates.get(String(item._id)), ...item });
+  });
+  return [...candidates.values()];
+};
+
+// Ranked suggestions of items to relate to `doc`, leaving out itself and what is
+// already related. Each comes with its score and why it was suggested.
+const suggestRelated = async (doc, { types = Object.keys(RELATED_TYPES), limit = 10 } = {}) => {
+  const ownType = TYPE_BY_MODEL[doc.constructor.modelName];
+  const tags = doc.tags || [];
+
+  const results = await Promise.all(types.map(async type => {
+    const exclude = (doc.related || [])
+      .filter(link => link.model === RELATED_TYPES[type])
+      .map(link => link.item);
+    if (type === ownType) exclude.push(doc._id);
+
+    const candidates = await findCandidates(doc, type, exclude);
+    return candidates.map(({ textScore, ...item }) => {
+      const sharedTags = (item.tags || []).filter(tag => tags.includes(tag));
+      const sameCategory = item.category === doc.category;
+      const score = sharedTags.length * SHARED_TAG_WEIGHT
+        + (sameCategory ? SAME_CATEGORY_WEIGHT : 0)
+        + (textScore || 0) * TEXT_MATCH_WEIGHT;
+      return {
+        type,
+        ...item,
+        score: Math.round(score * 100) / 100,
+        reasons: { sharedTags, sameCategory, textScore: textScore || 0 }
+      };
+    });
+  }));
+
+  return results
+    .flat()
+    .sort((a, b) => b.score - a.score || new Date(b.publishedAt || 0) - new Date(a.publishedAt || 0))
+    .slice(0, limit);
+};
+
+module.exports = {
+  RELATED_TYPES,
+  MAX_RELATED,
+  unlinkRelated,
+  relinkRelated,
+  setRelated,
+  listRelated,
+  suggestRelated,
+};
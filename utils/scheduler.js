@@ -0,0 +1,140 @@
+const os = require('os');
+const crypto = require('crypto');
+const News = require('../models/News');
+const Video = require('../models/Video');
+const JobLock = require('../models/JobLock');
+const { getTransition } = require('../config/workflow');
+const { applyTransition } = require('./workflow');
+const { recordAudit } = require('./audit');
+const { purgeExpiredTrash } = require('./trash');
+const { processOutbox, releaseOutbox } = require('./outbox');
+
+// In-process scheduler for timed publishing. Schedules live on the documents
+// themselves, so nothing is lost on restart: overdue items are picked up on the
+// next tick. A JobLock lease ensures only one instance processes them.
+// Each tick also purges trash that is past its retention period and delivers
+// notifications due for a retry (see utils/outbox.js).
+const SCHEDULER_INTERVAL_SECONDS = parseInt(process.env.SCHEDULER_INTERVAL_SECONDS, 10) || 30;
+const BATCH_SIZE = 100;
+const LOCK_NAME = 'content-scheduler';
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const SCHEDULED_MODELS = [
+  { Model: News, resource: 'news', targetType: 'News' },
+  { Model: Video, resource: 'videos', targetType: 'Video' }
+];
+
+// Scheduled unpublishing archives the item, keeping its publishedAt
+const JOBS = [
+  { field: 'scheduledPublishAt', to: 'published', name: 'publish' },
+  { field: 'scheduledUnpublishAt', to: 'archived', name: 'unpublish' }
+];
+
+let timer = null;
+let running = false;
+
+// Apply one due schedule. Items whose status no longer allows the transition
+// (e.g. sent back for changes) have the schedule cleared and the skip audited.
+const runJob = async (doc, job, { resource, targetType }) => {
+  const scheduledFor = doc.get(job.field);
+  const actor = { userId: doc.scheduledBy };
+  const allowed = !!getTransition(doc.status, job.to);
+
+  doc.set(job.field, undefined);
+  if (allowed) {
+    applyTransition(doc, actor, job.to, `Scheduled ${job.name}`);
+  }
+  await doc.save();
+
+  await recordAudit(null, {
+    actor,
+    action: `${resource}.scheduled_${job.name}${allowed ? '' : '_skipped'}`,
+    targetType,
+    targetId: doc._id,
+    metadata: { scheduledFor, status: doc.status }
+  });
+
+  return allowed;
+};
+
+// Process everything due at `now`. Exported so it can be run on demand (tests, scripts).
+const runScheduledJobs = async (now = new Date()) => {
+  const results = { published: 0, unpublished: 0, skipped: 0, failed: 0 };
+
+  for (const target of SCHEDULED_MODELS) {
+    // Publishing runs first so an item due for both in one tick ends up archived
+    for (const job of JOBS) {
+      const dueItems = await target.Model.find({ [job.field]: { $lte: now } })
+        .sort({ [job.field]: 1 })
+        .limit(BATCH_SIZE);
+
+      for (const doc of dueItems) {
+        try {
+          const applied = await runJob(doc, job, target);
+          if (!applied) results.skipped += 1;
+          else if (job.name === 'publish') results.published += 1;
+          else results.unpublished += 1;
+        } catch (error) {
+          results.failed += 1;
+          console.error(`Scheduled ${job.name} failed for ${target.targetType} ${doc._id}:`, error.message);
+        }
+      }
+    }
+  }
+
+  return results;
+};
+
+const tick = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const hasLock = await JobLock.acquire(LOCK_NAME, INSTANCE_ID, SCHEDULER_INTERVAL_SECONDS * 2000);
+    if (!hasLock) return;
+
+    const results = await runScheduledJobs();
+    if (results.published || results.unpublished || results.skipped || results.failed) {
+      console.log('⏰ Scheduler run:', results);
+    }
+
+    const purged = await purgeExpiredTrash();
+    if (Object.keys(purged).length) {
+      console.log('🗑️  Purged expired trash:', purged);
+    }
+
+    const delivered = await processOutbox();
+    if (delivered && (delivered.sent || delivered.retried || delivered.failed || delivered.dead)) {
+      console.log('🔔 Notification outbox run:', delivered);
+    }
+  } catch (error) {
+    console.error('Scheduler error:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+const startScheduler = () => {
+  if (timer) return;
+  timer = setInterval(tick, SCHEDULER_INTERVAL_SECONDS * 1000);
+  timer.unref();
+  tick();
+  console.log(`⏰ Content scheduler started (every ${SCHEDULER_INTERVAL_SECONDS}s)`);
+};
+
+const stopScheduler = async () => {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+  try {
+    await JobLock.release(LOCK_NAME, INSTANCE_ID);
+    await releaseOutbox();
+  } catch (error) {
+    console.error('Scheduler lock release error:', error.message);
+  }
+};
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  runScheduledJobs,
+};
@@ -0,0 +1,147 @@
+// URL slug helpers, including a simple Devanagari (Hindi) to Latin transliteration
+// so Hindi titles get readable slugs instead of empty or percent-encoded ones.
+
+const MAX_SLUG_LENGTH = 120;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const VOWELS = {
+  'अ': 'a', 'आ': 'a', 'इ': 'i', 'ई': 'i', 'उ': 'u', 'ऊ': 'u', 'ऋ': 'ri',
+  'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऑ': 'o', 'ऍ': 'e'
+};
+
+// Vowel signs (matras) replace a consonant's inherent "a"
+const VOWEL_SIGNS = {
+  'ा': 'a', 'ि': 'i', 'ी': 'i', 'ु': 'u', 'ू': 'u', 'ृ': 'ri',
+  'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॉ': 'o', 'ॅ': 'e'
+};
+
+const CONSONANTS = {
+  'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+  'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+  'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+  'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+  'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+  'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v', 'ळ': 'l',
+  'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h',
+  'क़': 'q', 'ख़': 'kh', 'ग़': 'g', 'ज़': 'z', 'ड़': 'r', 'ढ़': 'rh', 'फ़': 'f'
+};
+
+const SIGNS = { 'ं': 'n', 'ँ': 'n', 'ः': 'h', 'ॐ': 'om' };
+
+const VIRAMA = '्';
+const NUKTA = '़';
+
+const isDevanagari = (char) => char >= 'ऀ' && char <= 'ॿ';
+
+// Transliterate Devanagari characters; everything else passes through unchanged.
+// The inherent "a" of a word-final consonant is dropped ("भारत" -> "bharat").
+const transliterate = (text) => {
+  const chars = Array.from(String(text || '').normalize('NFC'));
+  let result = '';
+
+  for (let i = 0; i < chars.length; i++) {
+    let char = chars[i];
+    if (chars[i + 1] === NUKTA) {
+      char += NUKTA;
+      i++;
+    }
+
+    if (CONSONANTS[char]) {
+      result += CONSONANTS[char];
+      const next = chars[i + 1];
+      if (next === VIRAMA) {
+        i++;
+      } else if (VOWEL_SIGNS[next]) {
+        result += VOWEL_SIGNS[next];
+        i++;
+      } else if (next && isDevanagari(next) && !/[।॥]/.test(next)) {
+        result += 'a';
+      }
+    } else if (VOWELS[char]) {
+      result += VOWELS[char];
+    } else if (VOWEL_SIGNS[char]) {
+      result += VOWEL_SIGNS[char];
+    } else if (SIGNS[char] !== undefined) {
+      result += SIGNS[char];
+    } else if (char >= '०' && char <= '९') {
+      result += String(char.charCodeAt(0) - 0x0966);
+    } else if (isDevanagari(char)) {
+      result += ' ';
+    } else {
+      result += char;
+    }
+  }
+
+  return result;
+};
+
+const slugify = (text) => {
+  return transliterate(text)
+    .normalize('NFKD')
+    .replace(/[̀-ͯ]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/g, '');
+};
+
+const isValidSlug = (slug) => typeof slug === 'string' && slug.length <= MAX_SLUG_LENGTH && SLUG_PATTERN.test(slug);
+
+// First free variant of base ("base", "base-2", "base-3", ...) that no other document
+// of Model uses as its current or former slug (trashed documents included)
+const uniqueSlug = async (Model, base, excludeId) => {
+  const root = base || 'item';
+  for (let suffix = 1; ; suffix++) {
+    const ending = suffix === 1 ? '' : `-${suffix}`;
+    const candidate = `${root.substring(0, MAX_SLUG_LENGTH - ending.length).replace(/-+$/g, '')}${ending}`;
+    const taken = await Model.exists({
+      _id: { $ne: excludeId },
+      $or: [{ slug: candidate }, { slugHistory: candidate }]
+    }).setOptions({ withDeleted: true });
+    if (!taken) return candidate;
+  }
+};
+
+// Keeps doc.slug set and unique; called from the models' pre-validate hooks.
+// A missing or cleared slug is generated from sourceText. A slug set by an editor is
+// normalized and must be free. A replaced slug moves to slugHistory so old URLs still resolve.
+const assignSlug = async (doc, sourceText) => {
+  const Model = doc.constructor;
+  if (doc.slug && !doc.isModified('slug')) return;
+
+  let slug;
+  if (doc.slug) {
+    slug = slugify(doc.slug);
+    const taken = slug && await Model.exists({
+      _id: { $ne: doc._id },
+      $or: [{ slug }, { slugHistory: slug }]
+    }).setOptions({ withDeleted: true });
+    if (!slug || taken) {
+      doc.invalidate('slug', slug ? `Slug "${slug}" is already in use` : 'Slug must contain letters or numbers');
+      return;
+    }
+  } else {
+    slug = await uniqueSlug(Model, slugify(sourceText), doc._id);
+  }
+
+  if (!doc.isNew) {
+    const previous = await Model.findById(doc._id).select('slug').setOptions({ withDeleted: true }).lean();
+    if (previous && previous.slug && previous.slug !== slug) {
+      doc.slugHistory.addToSet(previous.slug);
+    }
+  }
+  doc.slugHistory.pull(slug);
+  doc.slug = slug;
+};
+
+module.exports = {
+  MAX_SLUG_LENGTH,
+  SLUG_PATTERN,
+  transliterate,
+  slugify,
+  isValidSlug,
+  uniqueSlug,
+  assignSlug,
+};
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Storage backends for uploaded media, selected with MEDIA_STORAGE. Each backend
+// exposes `put(key, buffer, contentType)`, `remove(key)` and `url(key)`; keys are
+// relative paths such as "2025/06/3f9c...-large.jpg".
+const backends = {
+  // Files under MEDIA_LOCAL_DIR, served by this app at /uploads - the default
+  local: () => {
+    const dir = path.resolve(process.env.MEDIA_LOCAL_DIR || 'uploads');
+    const publicUrl = (process.env.MEDIA_PUBLIC_URL || `http://localhost:${process.env.PORT || 5001}/uploads`).replace(/\/+$/, '');
+    const filePath = (key) => {
+      const resolved = path.resolve(dir, key);
+      if (!resolved.startsWith(dir + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+      return resolved;
+    };
+
+    return {
+      localDir: dir,
+      put: async (key, buffer) => {
+        const target = filePath(key);
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, buffer);
+      },
+      remove: async (key) => {
+        await fs.rm(filePath(key), { force: true });
+      },
+      url: (key) => `${publicUrl}/${key}`
+    };
+  },
+
+  // Any S3-compatible service (AWS S3, MinIO, R2, ...). Requests are signed with
+  // AWS Signature V4; set S3_ENDPOINT to point at a local stand-in such as MinIO.
+  s3: () => {
+    const config = {
+      endpoint: (process.env.S3_ENDPOINT || `https://s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`).replace(/\/+$/, ''),
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      // Path-style URLs (endpoint/bucket/key) work with every stand-in; virtual-hosted is AWS's default
+      pathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false'
+    };
+    if (!config.bucket || !config.accessKeyId || !config.secretAccessKey) {
+      throw new Error('S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+
+    const objectUrl = (key) => {
+      const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+      if (config.pathStyle) {
+        return new URL(`${config.endpoint}/${config.bucket}/${encodedKey}`);
+      }
+      const endpoint = new URL(config.endpoint);
+      return new URL(`${endpoint.protocol}//${config.bucket}.${endpoint.host}/${encodedKey}`);
+    };
+    const publicUrl = process.env.S3_PUBLIC_URL && process.env.S3_PUBLIC_URL.replace(/\/+$/, '');
+
+    const send = async (method, key, body, contentType) => {
+      const url = objectUrl(key);
+      const headers = signS3Request({ method, url, body, contentType, ...config });
+      const response = await fetch(url, { method, headers, body });
+      // Deleting a missing object is not an error
+      if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+        const detail = await response.text();
+        throw new Error(`S3 ${method} ${key} failed with ${response.status}: ${detail.slice(0, 200)}`);
+      }
+    };
+
+    return {
+      put: (key, buffer, contentType) => send('PUT', key, buffer, contentType),
+      remove: (key) => send('DELETE', key),
+      url: (key) => (publicUrl ? `${publicUrl}/${key}` : objectUrl(key).toString())
+    };
+  }
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// Headers for a single-chunk AWS Signature V4 request
+const signS3Request = ({ method, url, body, contentType, region, accessKeyId, secretAccessKey }) => {
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256(body || '');
+
+  const headers = {
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  if (contentType) headers['content-type'] = contentType;
+
+  const signedHeaders = Object.keys(headers).sort();
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '',
+    ...signedHeaders.map(name => `${name}:${headers[name]}`),
+    '',
+    signedHeaders.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  delete headers.host;
+  return {
+    ...headers,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`
+  };
+};
+
+let activeStorage = null;
+
+// Make an additional backend selectable by name
+const registerStorage = (name, factory) => {
+  backends[name] = factory;
+};
+
+// Replace the active backend directly (useful in tests)
+const setStorage = (storage) => {
+  activeStorage = storage;
+};
+
+const getStorage = () => {
+  if (!activeStorage) {
+    const name = process.env.MEDIA_STORAGE || 'local';
+    const factory = backends[name];
+    if (!factory) {
+      throw new Error(`Unknown media storage: ${name}`);
+    }
+    activeStorage = factory();
+  }
+  return activeStorage;
+};
+
+module.exports = {
+  registerStorage,
+  setStorage,
+  getStorage,
+  signS3Request,
+};
@@ -0,0 +1,99 @@
+const News = require('../models/News');
+const Video = require('../models/Video');
+const Tag = require('../models/Tag');
+
+// Content types that can be listed by tag, with what a tag page shows of each
+const TAGGED_CONTENT = {
+  news: {
+    Model: News,
+    permission: 'news:read',
+    select: 'title slug summary category imageUrl tags status publishedAt createdAt'
+  },
+  videos: {
+    Model: Video,
+    permission: 'videos:read',
+    select: 'title slug description category thumbnailUrl youtubeId tags status publishedAt createdAt'
+  }
+};
+
+// Replace tag `from` with `to` on every item (trashed items included), keeping one
+// entry where an item had both. Bulk writes skip the taggable hooks, so the counts
+// of both tags are refreshed here. Safe to re-run after a partial failure.
+const replaceTag = async (from, to) => {
+  const modified = {};
+  for (const [type, { Model }] of Object.entries(TAGGED_CONTENT)) {
+    await Model.updateMany({ tags: from }, { $addToSet: { tags: to } });
+    const result = await Model.updateMany({ tags: from }, { $pull: { tags: from } });
+    modified[type] = result.modifiedCount;
+  }
+  await Tag.refreshUsage([from, to]);
+  return modified;
+};
+
+// Remove a tag from every item (trashed items included)
+const removeTag = async (name) => {
+  const modified = {};
+  for (const [type, { Model }] of Object.entries(TAGGED_CONTENT)) {
+    const result = await Model.updateMany({ tags: name }, { $pull: { tags: name } });
+    modified[type] = result.modifiedCount;
+  }
+  return modified;
+};
+
+// One page of items carrying the tag across the given content types, newest first.
+// Each type is queried for enough items to fill the page, then the results are merged.
+const findTaggedContent = async (name, { types, status, page = 1, limit = 20 }) => {
+  const skip = (page - 1) * limit;
+  const filter = { tags: name };
+  if (status && status !== 'all') filter.status = status;
+
+  const results = await Promise.all(types.map(async type => {
+    const { Model, select } = TAGGED_CONTENT[type];
+    const [items, total] = await Promise.all([
+      Model.find(filter)
+        .select(select)
+        .sort({ createdAt: -1 })
+        .limit(skip + limit)
+        .lean(),
+      Model.countDocuments(filter)
+    ]);
+    return { items: items.map(item => ({ ...item, type })), total };
+  }));
+
+  const items = results
+    .flatMap(result => result.items)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(skip, skip + limit);
+  const total = results.reduce((sum, result) => sum + result.total, 0);
+
+  return { items, total };
+};
+
+// First run of the registry: normalize the free-form tags stored so far
+// (trashed items included) and register them all. No-op once tags exist.
+const backfillTags = async () => {
+  if (await Tag.exists({})) return 0;
+
+  for (const { Model } of Object.values(TAGGED_CONTENT)) {
+    const cursor = Model.find({ 'tags.0': { $exists: true } })
+      .select('tags')
+      .setOptions({ withDeleted: true })
+      .lean()
+      .cursor();
+    for await (const doc of cursor) {
+      const tags = Tag.normalizeTags(doc.tags);
+      if (tags.join('\u0000') !== doc.tags.join('\u0000')) {
+        await Model.updateOne({ _id: doc._id }, { $set: { tags } });
+      }
+    }
+  }
+  return Tag.recountAll();
+};
+
+module.exports = {
+  TAGGED_CONTENT,
+  replaceTag,
+  removeTag,
+  findTaggedContent,
+  backfillTags,
+};
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { getPermissions } = require('../config/permissions');
+const { recordAudit } = require('./audit');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const JWT_EXPIRE = process.env.JWT_EXPIRE || '15m';
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 7;
+const LOGIN_STEP_TOKEN_EXPIRE = process.env.LOGIN_STEP_TOKEN_EXPIRE || '5m';
+
+// Hash an opaque token (refresh, reset, ...) before it is stored
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Constant-time comparison of two hex digests
+const safeCompare = (a, b) => {
+  const bufA = Buffer.from(a || '', 'hex');
+  const bufB = Buffer.from(b || '', 'hex');
+  return bufA.length === bufB.length && bufA.length > 0 && crypto.timingSafeEqual(bufA, bufB);
+};
+
+// Generate a short-lived access token bound to a session
+const signAccessToken = (user, session) => {
+  return jwt.sign(
+    { userId: user._id, role: user.role, sid: session._id },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRE }
+  );
+};
+
+// Short-lived token proving the first login step (password or Firebase) succeeded.
+// step is 'mfa_login' (code still required), 'mfa_setup' (enrollment required)
+// or 'password_change' (expired password must be changed first).
+const signLoginStepToken = (user, step) => {
+  return jwt.sign(
+    { userId: user._id, step },
+    JWT_SECRET,
+    { expiresIn: LOGIN_STEP_TOKEN_EXPIRE }
+  );
+};
+
+// Returns the decoded payload, or null if the token is invalid, expired or for another step
+const verifyLoginStepToken = (token, step) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.step === step ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Signed invitation token; the Invitation document still decides whether it can be used
+const signInvitationToken = (invitation) => {
+  return jwt.sign(
+    { inv: invitation._id, email: invitation.email, exp: Math.floor(invitation.expiresAt.getTime() / 1000) },
+    JWT_SECRET
+  );
+};
+
+// Returns the decoded payload, or null if the token is invalid or expired
+const verifyInvitationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.inv ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// API keys are "abk_<prefix>_<secret>"; the prefix is stored in clear for lookup,
+// the whole key only as a hash
+const generateApiKey = () => {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `abk_${prefix}_${crypto.randomBytes(32).toString('hex')}`;
+  return { key, prefix, keyHash: hashToken(key) };
+};
+
+const parseApiKey = (key) => {
+  const match = /^abk_([a-f0-9]{8})_[a-f0-9]{64}$/.exec(String(key || ''));
+  return match ? { prefix: match[1] } : null;
+};
+
+// Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored
+const buildRefreshToken = (session, secret) => `${session._id}.${secret}`;
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret) return null;
+  return { sessionId, secret };
+};
+
+const refreshExpiryDate = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+};
+
+const requestMeta = (req) => ({
+  ip: req.ip,
+  userAgent: (req.get('User-Agent') || '').substring(0, 500)
+});
+
+// Create a new server-side session and return the token pair for it
+const issueSession = async (user, req) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: refreshExpiryDate(),
+    ...requestMeta(req)
+  });
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken: buildRefreshToken(session, secret),
+    expiresIn: JWT_EXPIRE,
+    session
+  };
+};
+
+// Rotate the refresh token of an existing session (session must select refreshTokenHash)
+const rotateSession = async (session, user, req) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const meta = requestMeta(req);
+  session.refreshTokenHash = hashToken(secret);
+  session.expiresAt = refreshExpiryDate();
+  session.lastUsedAt = new Date();
+  session.ip = meta.ip;
+  session.userAgent = meta.userAgent;
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken: buildRefreshToken(session, secret),
+    expiresIn: JWT_EXPIRE
+  };
+};
+
+// Finish a successful sign-in: clear lockout counters, open a session, record
+// the login in the audit log and build the response payload shared by every login flow
+const completeLogin = async (user, req) => {
+  await user.resetLoginAttempts();
+
+  const { token, refreshToken, expiresIn } = await issueSession(user, req);
+
+  user.lastLogin = new Date();
+  user.analytics.lastActiveAt = new Date();
+  await user.save();
+  await recordAudit(req, { actor: user, action: 'auth.login', targetType: 'User', targetId: user._id });
+
+  return {
+    token,
+    refreshToken,
+    expiresIn,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      permissions: getPermissions(user.role),
+      status: user.status,
+      avatar: user.avatar,
+      emailVerified: user.emailVerified,
+      lastLogin: user.lastLogin
+    }
+  };
+};
+
+module.exports = {
+  JWT_SECRET,
+  JWT_EXPIRE,
+  hashToken,
+  safeCompare,
+  signAccessToken,
+  signLoginStepToken,
+  verifyLoginStepToken,
+  signInvitationToken,
+  verifyInvitationToken,
+  generateApiKey,
+  parseApiKey,
+  parseRefreshToken,
+  issueSession,
+  rotateSession,
+  completeLogin,
+};
@@ -0,0 +1,55 @@
+const { LANGUAGES } = require('../config/languages');
+
+// Unsaved translation of `source` into `language`: shared fields (category, tags,
+// images, ...) come from the source, translated fields from `data`. It starts as a
+// draft and goes through the workflow on its own.
+const buildTranslation = (Model, source, language, data, userId) => {
+  const shared = {};
+  Model.SHARED_FIELDS.forEach(field => {
+    if (source.get(field) !== undefined) shared[field] = source.get(field);
+  });
+
+  return new Model({
+    ...data,
+    ...shared,
+    language,
+    translationOf: source._id,
+    status: 'draft',
+    createdBy: userId
+  });
+};
+
+// Source item, its translations and the languages still missing
+const translationOverview = async (Model, source, select) => {
+  const translations = await Model.find({ translationOf: source._id })
+    .select(select)
+    .sort({ language: 1 })
+    .lean();
+
+  const covered = [source.language, ...translations.map(item => item.language)];
+  return {
+    translations,
+    missingLanguages: LANGUAGES.filter(language => !covered.includes(language))
+  };
+};
+
+// Whether `doc` may move to `language` without breaking one translation per language:
+// translations keep theirs, and a source cannot take the language of one of its
+// translations. Returns null when allowed, otherwise { status, message } to send back.
+const checkLanguageChange = async (doc, language) => {
+  if (!language || language === doc.language) return null;
+
+  if (doc.translationOf) {
+    return { status: 400, message: 'The language of a translation cannot be changed' };
+  }
+  if (await doc.constructor.exists({ translationOf: doc._id, language })) {
+    return { status: 409, message: 'A translation into this language already exists' };
+  }
+  return null;
+};
+
+module.exports = {
+  buildTranslation,
+  translationOverview,
+  checkLanguageChange,
+};
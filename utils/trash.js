@@ -0,0 +1,90 @@
+const News = require('../models/News');
+const NewsRevision = require('../models/NewsRevision');
+const Video = require('../models/Video');
+const Feedback = require('../models/Feedback');
+const Collection = require('../models/Collection');
+const { recordAudit } = require('./audit');
+
+// Days a trashed item is kept before it is purged automatically; 0 keeps items until purged by hand
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+const RETENTION_DAYS = Number.isNaN(TRASH_RETENTION_DAYS) ? 30 : TRASH_RETENTION_DAYS;
+const PURGE_BATCH_SIZE = 500;
+
+// Collections with a trash bin. `permission` guards listing and restoring;
+// `select` is what the trash listing shows.
+const TRASH_TYPES = {
+  news: {
+    Model: News,
+    targetType: 'News',
+    permission: 'news:delete',
+    select: 'title slug status category deletedAt deletedBy createdBy',
+    // Revisions and collection entries are only removed once the article itself is gone for good
+    onPurge: (ids) => Promise.all([
+      NewsRevision.deleteMany({ article: { $in: ids } }),
+      Collection.removeItems('News', ids)
+    ])
+  },
+  videos: {
+    Model: Video,
+    targetType: 'Video',
+    permission: 'videos:delete',
+    select: 'title slug status category youtubeId deletedAt deletedBy createdBy',
+    onPurge: (ids) => Collection.removeItems('Video', ids)
+  },
+  feedback: {
+    Model: Feedback,
+    targetType: 'Feedback',
+    permission: 'feedback:delete',
+    select: 'feedback rating user deletedAt deletedBy'
+  }
+};
+
+// Permanently remove trashed documents of one type. Documents that are not in the trash are ignored.
+const purgeDocuments = async (type, ids) => {
+  const { Model, onPurge } = TRASH_TYPES[type];
+  const trashedIds = await Model.find({ _id: { $in: ids }, deletedAt: { $ne: null } }).distinct('_id');
+  if (!trashedIds.length) return 0;
+
+  const result = await Model.deleteMany({ _id: { $in: trashedIds }, deletedAt: { $ne: null } });
+  if (onPurge) {
+    // Only for what was in the trash, so live items keep their revisions and collection entries
+    await onPurge(trashedIds);
+  }
+  return result.deletedCount;
+};
+
+const retentionCutoff = (now = new Date()) => {
+  return new Date(now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Purge everything trashed longer than the retention period. Run by the scheduler.
+const purgeExpiredTrash = async (now = new Date()) => {
+  const results = {};
+  if (RETENTION_DAYS <= 0) return results;
+
+  const cutoff = retentionCutoff(now);
+  for (const [type, { Model, targetType }] of Object.entries(TRASH_TYPES)) {
+    const expired = await Model.find({ deletedAt: { $ne: null, $lte: cutoff } })
+      .select('_id')
+      .limit(PURGE_BATCH_SIZE)
+      .lean();
+    if (!expired.length) continue;
+
+    const ids = expired.map(doc => doc._id);
+    results[type] = await purgeDocuments(type, ids);
+    await recordAudit(null, {
+      action: `${type}.purge`,
+      targetType,
+      metadata: { automatic: true, ids, retentionDays: RETENTION_DAYS }
+    });
+  }
+  return results;
+};
+
+module.exports = {
+  TRASH_TYPES,
+  RETENTION_DAYS,
+  purgeDocuments,
+  retentionCutoff,
+  purgeExpiredTrash,
+};
@@ -0,0 +1,73 @@
+const User = require('../models/User');
+const { getTransition, allowedTransitions } = require('../config/workflow');
+const { actorHasPermission, hasPermission } = require('../config/permissions');
+
+// Statuses that come before approval; moving back to one of them drops an earlier approval
+const PRE_APPROVAL_STATUSES = ['draft', 'in_review', 'changes_requested'];
+
+const isAuthor = (actor, doc) => {
+  const createdBy = doc.createdBy && (doc.createdBy._id || doc.createdBy);
+  return !!createdBy && String(createdBy) === String(actor.userId);
+};
+
+// Whether the actor (req.user) may move doc to status `to` on resource "news" or "videos".
+// Returns null when allowed, otherwise { status, message, allowed? } to send back.
+const checkTransition = (actor, resource, doc, to, comment) => {
+  const transition = getTransition(doc.status, to);
+  if (!transition) {
+    return {
+      status: 409,
+      message: `Cannot change status from ${doc.status} to ${to}`,
+      allowed: allowedTransitions(doc.status)
+    };
+  }
+
+  const permission = `${resource}:${transition.permission}`;
+  const permitted = actorHasPermission(actor, permission)
+    || (!actor.isApiKey && isAuthor(actor, doc) && hasPermission(actor.role, `${permission}:own`));
+
+  if (!permitted) {
+    return { status: 403, message: `Access denied. Missing permission: ${permission}.` };
+  }
+
+  if (transition.commentRequired && !(comment && comment.trim())) {
+    return { status: 400, message: 'A review comment is required when requesting changes' };
+  }
+
+  return null;
+};
+
+// Move doc to `to` and record the step in its workflow history; the caller saves.
+// Call checkTransition first.
+const applyTransition = (doc, actor, to, comment) => {
+  const from = doc.status;
+  const { action } = getTransition(from, to);
+
+  doc.status = to;
+  doc.workflowHistory.push({ from, to, action, by: actor.userId, comment });
+
+  if (action === 'approve') {
+    doc.approvedBy = actor.userId;
+    doc.approvedAt = new Date();
+  } else if (PRE_APPROVAL_STATUSES.includes(to)) {
+    doc.approvedBy = undefined;
+    doc.approvedAt = undefined;
+  }
+
+  return action;
+};
+
+// Active staff member allowed to review the resource, or null
+const findReviewer = async (reviewerId, resource) => {
+  const reviewer = await User.findById(reviewerId).select('name email role status');
+  if (!reviewer || reviewer.status !== 'active' || !hasPermission(reviewer.role, `${resource}:review`)) {
+    return null;
+  }
+  return reviewer;
+};
+
+module.exports = {
+  checkTransition,
+  applyTransition,
+  findReviewer,
+};